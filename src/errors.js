@@ -0,0 +1,157 @@
+// Create an error mapper from a function that maps instances of an error
+// class to one or more Error-like objects. This allows a single error that
+// describes many problems, such as a failed validation, to be represented as
+// many JSON API error objects.
+//
+// Arguments:
+//   ErrorClass   {Function}    The error constructor. The mapper applies to
+//                              any error that is an instance of it.
+//   mapper       {Function}    Called with the error. Must return an Error-
+//                              like object or an array of them.
+//
+// Returns a pair of a predicate that determines whether the mapper applies to
+// an error and the mapper itself, as expected by "buildErrorObjects".
+export function createErrorMapper( ErrorClass, mapper ) {
+
+  if ( typeof ErrorClass !== 'function' || typeof mapper !== 'function' ) {
+    throw new Error('Expected an error constructor and a mapper function.');
+  }
+
+  return [ ( error ) => error instanceof ErrorClass, mapper ];
+}
+
+// Map an array of Error-like objects to an array of error objects as per
+// http://jsonapi.org/format/#error-objects
+//
+// The first mapper that applies to an error wins. Errors created by
+// "createDocumentError" are always mapped by the built-in mapper, so a mapper
+// for a base class such as Error cannot swallow them. The given mappers are
+// tried next, in order, and Kudu validation errors are mapped last.
+export function buildErrorObjects( errors, mappers = [] ) {
+
+  const candidates = [ DOCUMENT_ERROR_MAPPER, ...mappers, VALIDATION_ERROR_MAPPER ];
+
+  return errors.reduce(( arr, error ) => {
+
+    const mapping = candidates.find(( [ test ] ) => test(error));
+
+    return arr.concat(mapping ? mapping[ 1 ](error) : error);
+  }, []).map(buildErrorObject);
+}
+
+// Create an Error instance that describes a problem with a request. The
+// "source" is an object with either a "pointer" to the offending member of the
+// request document or the name of the offending query "parameter".
+export function createError( detail, source, status = 400 ) {
+
+  const error = new Error(detail);
+
+  error.status = status;
+
+  if ( source ) {
+    error.source = source;
+  }
+
+  return error;
+}
+
+// Create an Error instance that represents several problems with a request
+// document. The individual errors are listed in its "errors" property and each
+// becomes a separate error object when it is passed to "errorsToJSON". The
+// status of the error is that of the first individual error.
+export function createDocumentError( errors ) {
+
+  const error = new Error('The request document is invalid.');
+
+  error.name = 'DocumentError';
+  error.status = errors.length ? errors[ 0 ].status : 400;
+  error.errors = errors;
+
+  return error;
+}
+
+// Build a JSON Pointer (RFC 6901) from a list of reference tokens.
+export function pointer( ...tokens ) {
+  return tokens
+    .map(( token ) => `/${ String(token).replace(/~/g, '~0').replace(/\//g, '~1') }`)
+    .join('');
+}
+
+//
+// Utility functions
+//
+
+// Build a JSON API error object from an Error-like object. Only the members
+// defined by the specification are copied across. The "status" and "code"
+// members must be strings.
+function buildErrorObject( error ) {
+
+  const obj = {};
+
+  if ( error.id !== undefined ) {
+    obj.id = error.id;
+  }
+
+  if ( error.links ) {
+    obj.links = error.links;
+  }
+
+  if ( error.status !== undefined ) {
+    obj.status = String(error.status);
+  }
+
+  if ( error.code !== undefined ) {
+    obj.code = String(error.code);
+  }
+
+  if ( error.title !== undefined ) {
+    obj.title = error.title;
+  }
+
+  const detail = error.detail !== undefined ? error.detail : error.message;
+
+  if ( detail !== undefined ) {
+    obj.detail = detail;
+  }
+
+  if ( error.source ) {
+    obj.source = error.source;
+  }
+
+  if ( error.meta ) {
+    obj.meta = error.meta;
+  }
+
+  return obj;
+}
+
+// Errors created by "createDocumentError" are already made up of individual
+// Error-like objects.
+const DOCUMENT_ERROR_MAPPER = [
+  ( error ) => error.name === 'DocumentError' && Array.isArray(error.errors),
+  ( error ) => error.errors,
+];
+
+// Kudu model validation fails with a single error that lists each invalid
+// property in its "errors" array. We represent each of those as a separate
+// error object pointing at the relevant attribute of the request document.
+const VALIDATION_ERROR_MAPPER = [
+  ( error ) => error.name === 'ValidationError' && Array.isArray(error.errors),
+  ( error ) => error.errors.map(( fieldError ) => {
+
+    const field = fieldError.property || fieldError.path || fieldError.field;
+    let tokens = [];
+
+    if ( Array.isArray(field) ) {
+      tokens = field;
+    } else if ( field ) {
+      tokens = String(field).split('.');
+    }
+
+    return createError(
+      fieldError.message,
+      { pointer: pointer('data', 'attributes', ...tokens) },
+      error.status !== undefined ? error.status : 422
+    );
+  }),
+];
@@ -0,0 +1,93 @@
+// Built-in member name formats. Each converts a name in any of the supported
+// formats, e.g. "firstName", "first-name" or "first_name", to its own format.
+const FORMATS = {
+  camel: ( name ) => words(name)
+    .map(( word, i ) => i ? word.charAt(0).toUpperCase() + word.slice(1) : word)
+    .join(''),
+  kebab: ( name ) => words(name).join('-'),
+  snake: ( name ) => words(name).join('_'),
+};
+
+// Resolve a name format option to a function that formats a name.
+//
+// Arguments:
+//   format       {String|Function} One of "camel", "kebab" or "snake", or a
+//                                  function that takes a name and returns the
+//                                  formatted name. If not set names are left
+//                                  unchanged.
+//
+export function resolveFormat( format ) {
+
+  if ( !format ) {
+    return identity;
+  }
+
+  if ( typeof format === 'function' ) {
+    return format;
+  }
+
+  if ( !FORMATS[ format ] ) {
+    throw new Error(`Unknown name format "${ format }".`);
+  }
+
+  return FORMATS[ format ];
+}
+
+// Build a map of formatted names to the names they were formatted from. This
+// is how formatted member names in a request document are mapped back to
+// schema property names, since a custom format cannot be reversed directly.
+export function buildNameMap( names, format ) {
+
+  return names.reduce(( obj, name ) => {
+
+    obj[ format(name) ] = name;
+    return obj;
+  }, Object.create(null));
+}
+
+// Get the model constructor registered with a Kudu app for a resource type.
+// If resource types are formatted we cannot reverse the format directly so we
+// format the name of every registered model and look the type up in the
+// result, in the same way "buildNameMap" maps member names. A type that is
+// not formatted is accepted too. The state is an object with the Kudu "app"
+// and the "formatType" function. The map is kept on it for later lookups.
+export function getModelForType( type, state ) {
+
+  if ( !state.modelsByType ) {
+    state.modelsByType = buildTypeMap(state);
+  }
+
+  return state.modelsByType.get(type) || state.app.getModel(type);
+}
+
+//
+// Utility functions
+//
+
+// Split a name into lower case words at case changes, hyphens, underscores and
+// whitespace. Runs of capitals are treated as a single word, so "userID" and
+// "XMLParser" become [ "user", "id" ] and [ "xml", "parser" ].
+function words( name ) {
+  return String(name)
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[\s_-]+/)
+    .filter(( word ) => word)
+    .map(( word ) => word.toLowerCase());
+}
+
+// Map the formatted type of each model registered with a Kudu app to the model.
+function buildTypeMap( { app, formatType } ) {
+
+  const map = new Map();
+
+  ( app.models || new Map() ).forEach(( Model ) => {
+    map.set(formatType(Model.singular), Model);
+  });
+
+  return map;
+}
+
+function identity( name ) {
+  return name;
+}
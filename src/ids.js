@@ -0,0 +1,157 @@
+import { randomBytes } from 'crypto';
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// Build a key that uniquely identifies a resource within a document from its
+// type and either its identifier or, for a resource that has not been saved
+// yet, its local identifier ("lid") as per
+// https://jsonapi.org/format/1.1/#document-resource-object-identification
+// Types never contain ":" or "@" so the two kinds of key cannot collide.
+export function resourceKey( type, id, lid ) {
+
+  if ( id !== undefined && id !== null ) {
+    return `${ type }:${ id }`;
+  }
+
+  return `${ type }@${ lid }`;
+}
+
+// Get the local identifier of an unsaved model instance. An instance can
+// provide its own "lid" property. Otherwise one is generated the first time
+// the instance is seen and remembered in the given map so every reference to
+// the instance within a document uses the same local identifier.
+export function localIdOf( instance, lids ) {
+
+  if ( instance.lid !== undefined && instance.lid !== null ) {
+    return String(instance.lid);
+  }
+
+  let lid = lids.get(instance);
+
+  if ( !lid ) {
+    lid = generateUuid();
+    lids.set(instance, lid);
+  }
+
+  return lid;
+}
+
+// Determine whether a string is a UUID (RFC 4122).
+export function isUuid( value ) {
+  return typeof value === 'string' && UUID.test(value);
+}
+
+// Generate a random (version 4) UUID.
+export function generateUuid() {
+
+  const bytes = randomBytes(16);
+
+  bytes[ 6 ] = ( bytes[ 6 ] & 0x0f ) | 0x40;
+  bytes[ 8 ] = ( bytes[ 8 ] & 0x3f ) | 0x80;
+
+  const hex = bytes.toString('hex');
+
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20),
+  ].join('-');
+}
+
+// Get the identifier of a model instance. This is the "id" property unless the
+// model declares a different primary key with a "primaryKey" property on the
+// constructor or its schema, which is one of:
+//
+//   - the name of another property, e.g. "_id"
+//   - an array of property names for a composite key. The values are joined
+//     with ":", each URI-encoded so the identifier can be split again, e.g.
+//     "2016:42"
+//   - an object with a "get" function that is called with the instance and
+//     returns its identifier, and optionally a "set" function that is called
+//     with an instance and an identifier and applies the identifier to the
+//     instance (see "setInstanceId")
+//
+// Returns undefined if the instance has no identifier, e.g. because it has not
+// been saved yet.
+export function getInstanceId( instance ) {
+
+  const key = primaryKeyOf(instance.constructor);
+
+  if ( typeof key === 'string' ) {
+    return isMissing(instance[ key ]) ? undefined : instance[ key ];
+  }
+
+  if ( Array.isArray(key) ) {
+
+    const values = key.map(( name ) => instance[ name ]);
+
+    return values.some(isMissing) ?
+      undefined :
+      values.map(( value ) => encodeURIComponent(value)).join(':');
+  }
+
+  const id = key.get(instance);
+
+  return isMissing(id) ? undefined : id;
+}
+
+// Apply an identifier to a model instance, as the inverse of "getInstanceId".
+// If the primary key of the model is an object without a "set" function the
+// identifier is assigned to the "id" property.
+export function setInstanceId( instance, id ) {
+
+  const key = primaryKeyOf(instance.constructor);
+
+  if ( typeof key === 'string' ) {
+    instance[ key ] = id;
+  } else if ( Array.isArray(key) ) {
+
+    const values = String(id).split(':');
+
+    key.forEach(( name, i ) => {
+      instance[ name ] = values[ i ] === undefined ?
+        undefined :
+        decodeURIComponent(values[ i ]);
+    });
+  } else if ( typeof key.set === 'function' ) {
+    key.set(instance, id);
+  } else {
+    instance.id = id;
+  }
+}
+
+// Convert an identifier to a string since JSON API requires the "id" member of
+// resource objects and resource identifier objects to be a string. Only
+// strings and numbers can be converted. Anything else, most likely a related
+// object that was expected to be a model instance, is an error. The
+// description names the resource the identifier belongs to in the message.
+export function formatId( id, description ) {
+
+  if ( typeof id === 'string' ) {
+    return id;
+  }
+
+  if ( typeof id === 'number' && isFinite(id) ) {
+    return String(id);
+  }
+
+  throw new Error(
+    `The identifier of ${ description } must be a string or a number.`
+  );
+}
+
+//
+// Utility functions
+//
+
+// Get the primary key declared by a model constructor (see "getInstanceId").
+function primaryKeyOf( Model ) {
+  return Model.primaryKey || ( Model.schema && Model.schema.primaryKey ) || 'id';
+}
+
+// Determine whether a value is missing from an identifier.
+function isMissing( value ) {
+  return value === undefined || value === null;
+}
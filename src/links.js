@@ -0,0 +1,139 @@
+// The default URL templates. Placeholders in braces are replaced with the
+// corresponding link parameter (see "buildLink").
+const DEFAULT_TEMPLATES = {
+  collection: '{baseUrl}/{plural}',
+  self: '{baseUrl}/{plural}/{id}',
+  relationship: '{baseUrl}/{plural}/{id}/relationships/{relationship}',
+  related: '{baseUrl}/{plural}/{id}/{relationship}',
+};
+
+// Resolve the link configuration that applies to instances of a model.
+//
+// Arguments:
+//   option       {Boolean|Object}  The "linkBuilder" option passed to
+//                                  "toJSON".
+//   override     {Boolean|Object}  The "linkBuilder" property of the model
+//                                  constructor, if any.
+//
+// Either may be false to disable links altogether, in which case this
+// function returns null. Otherwise either may be an object with a "baseUrl"
+// and "collection", "self", "relationship" and "related" members, each of
+// which is a URL
+// template string or a function that is called with the link parameters and
+// returns a URL. Members of the model override take precedence.
+//
+// The returned configuration has a "resourceLinks" flag that is set when a
+// link builder has been configured explicitly. Resource-level "self" links
+// are only generated in that case, to keep the default output unchanged.
+export function resolveLinkConfig( option, override ) {
+
+  if ( override === false || ( override === undefined && option === false ) ) {
+    return null;
+  }
+
+  const config = Object.assign(
+    { baseUrl: '' },
+    DEFAULT_TEMPLATES,
+    typeof option === 'object' ? option : {},
+    typeof override === 'object' ? override : {}
+  );
+
+  config.baseUrl = String(config.baseUrl).replace(/\/+$/, '');
+  config.resourceLinks = Boolean(option || override);
+
+  return config;
+}
+
+// Build a single link from a resolved link configuration. The name is one of
+// "self", "relationship" or "related". The parameters are "baseUrl", "type",
+// "plural", "id", "relationship" and "instance". A template or function that
+// is set to a falsy value produces no link.
+export function buildLink( config, name, params ) {
+
+  const template = config[ name ];
+
+  params = Object.assign({ baseUrl: config.baseUrl }, params);
+
+  if ( !template ) {
+    return undefined;
+  }
+
+  if ( typeof template === 'function' ) {
+    return template(params);
+  }
+
+  return String(template).replace(/\{(\w+)\}/g, ( match, key ) => {
+
+    if ( params[ key ] === undefined || key === 'instance' ) {
+      return match;
+    }
+
+    // The base URL is used as-is. Other parameters are path segments and are
+    // encoded accordingly.
+    return key === 'baseUrl' ? params[ key ] : encodeURIComponent(params[ key ]);
+  });
+}
+
+// Parse a URL back into the link parameters it was built from. This is the
+// inverse of "buildLink" and only works for URL templates, not functions. The
+// "relationship", "self" and "collection" templates are tried in turn.
+//
+// Returns an object with the "name" of the matching template and the decoded
+// "params", e.g. { name: "self", params: { plural: "posts", id: "1" } }, or
+// null if the URL does not match any of them. A query string or fragment is
+// ignored.
+export function parseLink( config, url ) {
+
+  const path = String(url).replace(/[?#].*$/, '');
+  const names = [ 'relationship', 'self', 'collection' ];
+
+  for ( let i = 0; i < names.length; i++ ) {
+
+    const template = config[ names[ i ] ];
+
+    if ( typeof template !== 'string' ) {
+      continue;
+    }
+
+    const keys = [];
+    const pattern = template.split(/(\{\w+\})/).map(( part ) => {
+
+      const placeholder = /^\{(\w+)\}$/.exec(part);
+
+      if ( !placeholder ) {
+        return escapeRegExp(part);
+      }
+
+      if ( placeholder[ 1 ] === 'baseUrl' ) {
+        return escapeRegExp(config.baseUrl);
+      }
+
+      keys.push(placeholder[ 1 ]);
+
+      return '([^/]+)';
+    }).join('');
+    const match = new RegExp(`^${ pattern }/?$`).exec(path);
+
+    if ( match ) {
+      return {
+        name: names[ i ],
+        params: keys.reduce(( params, key, j ) => {
+          params[ key ] = decodeURIComponent(match[ j + 1 ]);
+          return params;
+        }, {}),
+      };
+    }
+  }
+
+  return null;
+}
+
+//
+// Utility functions
+//
+
+// Escape the characters of a string that have a special meaning in a regular
+// expression.
+function escapeRegExp( string ) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
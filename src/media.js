@@ -0,0 +1,224 @@
+import { createError } from './errors';
+
+// The JSON API media type, as per http://jsonapi.org/format/#content-negotiation
+export const MEDIA_TYPE = 'application/vnd.api+json';
+
+// The media type parameters that JSON API defines. Any other parameter on the
+// JSON API media type makes it unacceptable.
+const ALLOWED_PARAMETERS = [ 'ext', 'profile' ];
+
+// Negotiate the representation of a JSON API request and its response from the
+// "Content-Type" and "Accept" headers of the request, as per
+// https://jsonapi.org/format/1.1/#content-negotiation-servers
+//
+// Arguments:
+//   headers      {Object}          The values of the request headers. See
+//                                  below.
+//   options      {Object}          A configuration object. See below.
+//
+// Headers:
+//   contentType  {String}     The "Content-Type" header, if the request has a
+//                             body.
+//   accept       {String}     The "Accept" header, if any.
+//
+// Options:
+//   ext          {Array}      The URIs of the extensions the server supports.
+//   profile      {Array}      The URIs of the profiles the server supports.
+//
+// Returns an object with the following properties:
+//   ext          {Array}      The extensions to apply to the response.
+//   profile      {Array}      The profiles to apply to the response.
+//   contentType  {String}     The "Content-Type" header of the response.
+//   errors       {Array}      The problems with the request, each an Error
+//                             with a "status" of 415 or 406. Empty if the
+//                             request is acceptable.
+//
+// A request body must use the JSON API media type with no parameters other
+// than "ext" and "profile", and every extension it names must be supported.
+// If the "Accept" header lists the JSON API media type at least one instance
+// must be acceptable in the same way and have a quality above zero. The most
+// preferred acceptable instance determines the extensions and profiles of the
+// response. Otherwise they are those of the request body. Profiles the server
+// does not support are ignored.
+export default function negotiate( {
+  contentType,
+  accept,
+} = {}, {
+  ext: supportedExt = [],
+  profile: supportedProfile = [],
+} = {} ) {
+
+  const errors = [];
+  const isSupported = ( mediaType ) =>
+    mediaType.ext.every(( uri ) => supportedExt.indexOf(uri) > -1);
+
+  let selected = { ext: [], profile: [] };
+
+  if ( contentType ) {
+
+    const mediaType = parseMediaTypes(contentType)[ 0 ];
+
+    if ( !mediaType || mediaType.type !== MEDIA_TYPE ) {
+      errors.push(createError(
+        `The request body must use the "${ MEDIA_TYPE }" media type.`,
+        null,
+        415
+      ));
+    } else if ( mediaType.unknown.length ) {
+      errors.push(createError(
+        `The "${ MEDIA_TYPE }" media type of the request body must not have ` +
+        'parameters other than "ext" and "profile".',
+        null,
+        415
+      ));
+    } else if ( !isSupported(mediaType) ) {
+      errors.push(createError(
+        'The request body uses an extension that is not supported.',
+        null,
+        415
+      ));
+    } else {
+      selected = mediaType;
+    }
+  }
+
+  if ( accept ) {
+
+    const instances = parseMediaTypes(accept)
+      .filter(( mediaType ) => mediaType.type === MEDIA_TYPE);
+    // An instance with a quality of zero is explicitly not acceptable, as per
+    // RFC 7231 section 5.3.1.
+    const acceptable = instances
+      .filter(( mediaType ) => mediaType.q > 0)
+      .filter(( mediaType ) => !mediaType.unknown.length && isSupported(mediaType))
+      .sort(( a, b ) => b.q - a.q);
+
+    if ( instances.length && !acceptable.length ) {
+      errors.push(createError(
+        `No acceptable instance of the "${ MEDIA_TYPE }" media type is listed ` +
+        'in the "Accept" header.',
+        null,
+        406
+      ));
+    } else if ( acceptable.length ) {
+      selected = acceptable[ 0 ];
+    }
+  }
+
+  const result = {
+    ext: selected.ext,
+    profile: selected.profile.filter(( uri ) => supportedProfile.indexOf(uri) > -1),
+  };
+
+  result.contentType = formatContentType(result);
+  result.errors = errors;
+
+  return result;
+}
+
+// Build the value of a "Content-Type" header for a JSON API document to which
+// the given extensions and profiles apply, e.g.
+// 'application/vnd.api+json; ext="https://jsonapi.org/ext/atomic"'
+export function formatContentType( {
+  ext = [],
+  profile = [],
+} = {} ) {
+
+  let header = MEDIA_TYPE;
+
+  if ( ext.length ) {
+    header += `; ext="${ ext.join(' ') }"`;
+  }
+
+  if ( profile.length ) {
+    header += `; profile="${ profile.join(' ') }"`;
+  }
+
+  return header;
+}
+
+//
+// Utility functions
+//
+
+// Parse the value of a "Content-Type" or "Accept" header into a list of media
+// types. Each has a lower case "type", the space-separated URIs of its "ext"
+// and "profile" parameters, its quality "q" and the names of any "unknown"
+// parameters.
+function parseMediaTypes( header ) {
+
+  return splitOutsideQuotes(String(header), ',').map(( range ) => {
+
+    const parts = splitOutsideQuotes(range, ';');
+    const mediaType = {
+      type: parts[ 0 ].trim().toLowerCase(),
+      ext: [],
+      profile: [],
+      q: 1,
+      unknown: [],
+    };
+
+    parts.slice(1).forEach(( part ) => {
+
+      const separator = part.indexOf('=');
+      const name = part.slice(0, separator > -1 ? separator : undefined).trim().toLowerCase();
+      const value = separator > -1 ? unquote(part.slice(separator + 1).trim()) : '';
+
+      if ( !name ) {
+        return;
+      }
+
+      // The quality of an "Accept" instance is not a media type parameter.
+      if ( name === 'q' ) {
+        mediaType.q = Number(value) || 0;
+      } else if ( ALLOWED_PARAMETERS.indexOf(name) > -1 ) {
+        mediaType[ name ] = value.split(/\s+/).filter(Boolean);
+      } else {
+        mediaType.unknown.push(name);
+      }
+    });
+
+    return mediaType;
+  }).filter(( mediaType ) => mediaType.type);
+}
+
+// Split a string on a separator character, except where it appears within a
+// quoted string.
+function splitOutsideQuotes( string, separator ) {
+
+  const parts = [];
+  let current = '';
+  let quoted = false;
+
+  for ( let i = 0; i < string.length; i++ ) {
+
+    const char = string[ i ];
+
+    if ( char === '\\' && quoted ) {
+      current += char + ( string[ i + 1 ] || '' );
+      i++;
+    } else if ( char === '"' ) {
+      quoted = !quoted;
+      current += char;
+    } else if ( char === separator && !quoted ) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current);
+
+  return parts;
+}
+
+// Remove the quotes from a quoted string, as per RFC 7230 section 3.2.6.
+function unquote( value ) {
+
+  if ( value[ 0 ] !== '"' ) {
+    return value;
+  }
+
+  return value.slice(1, -1).replace(/\\(.)/g, '$1');
+}
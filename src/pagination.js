@@ -0,0 +1,223 @@
+// Build pagination links and meta-information for a collection as per
+// http://jsonapi.org/format/#fetching-pagination
+//
+// Arguments:
+//   options      {Object}          A configuration object. See below.
+//
+// Options:
+//   strategy     {String}     The pagination strategy. One of "number" (the
+//                             "page[number]" and "page[size]" parameters),
+//                             "offset" ("page[offset]" and "page[limit]") or
+//                             "cursor" ("page[cursor]" and "page[size]").
+//   params       {Object}     The current values of the pagination
+//                             parameters, without the "page" prefix, e.g.
+//                             { number: 2, size: 10 }.
+//   total        {Number}     The total number of resources in the
+//                             collection. If known, "last" can be linked.
+//   hasMore      {Boolean}    Whether there are resources after the current
+//                             page. Only used when "total" is not known. If
+//                             neither is given it is not known whether there
+//                             is a next page, so "meta.page" has no "hasMore"
+//                             member and the "next" page is linked anyway.
+//   cursors      {Object}     The opaque cursors for the "prev" and "next"
+//                             pages when using the "cursor" strategy.
+//   url          {String}     The URL of the collection, e.g. "/posts".
+//   query        {Object}     Any other query parameters that must be
+//                             preserved in the links, e.g. { sort: "-date" }.
+//
+// Returns an object with "links" and "meta" properties. The "links" object
+// contains "self", "first", "prev", "next" and "last" members, the value of
+// which is null if the page is not available. The "meta" object contains a
+// "page" member describing the current page.
+export default function paginate( {
+  strategy = 'number',
+  params = {},
+  total,
+  hasMore,
+  cursors = {},
+  url = '',
+  query = {},
+} = {} ) {
+
+  const paginator = paginators[ strategy ];
+
+  if ( !paginator ) {
+    throw new Error(`Unknown pagination strategy "${ strategy }".`);
+  }
+
+  const hasTotal = typeof total === 'number';
+  const pages = paginator({
+    params,
+    total,
+    hasTotal,
+    hasMore: hasTotal ? undefined : hasMore,
+    cursors,
+  });
+
+  const link = ( page ) => page ? buildUrl(url, query, page) : null;
+
+  return {
+    links: {
+      self: link(pages.self),
+      first: link(pages.first),
+      prev: link(pages.prev),
+      next: link(pages.next),
+      last: link(pages.last),
+    },
+    meta: {
+      page: pages.meta,
+    },
+  };
+}
+
+//
+// Utility functions
+//
+
+// Each paginator takes the normalized pagination state and returns the "page"
+// parameters of the "self", "first", "prev", "next" and "last" pages, using a
+// falsy value for a page that is not available, and the "meta.page" object.
+const paginators = {
+
+  number( { params, total, hasTotal, hasMore } ) {
+
+    const size = toInteger(params.size, 'size');
+    const number = params.number === undefined ? 1 : toInteger(params.number, 'number');
+    const lastNumber = hasTotal ? Math.max(1, Math.ceil(total / size)) : null;
+    const page = ( n ) => ({ number: n, size });
+    const meta = { number, size };
+
+    if ( hasTotal ) {
+      meta.total = total;
+      meta.totalPages = lastNumber;
+    } else if ( hasMore !== undefined ) {
+      meta.hasMore = Boolean(hasMore);
+    }
+
+    return {
+      self: page(number),
+      first: page(1),
+      prev: number > 1 && page(Math.min(number - 1, lastNumber || Infinity)),
+      next: ( hasTotal ? number < lastNumber : isMore(hasMore) ) && page(number + 1),
+      last: hasTotal && page(lastNumber),
+      meta,
+    };
+  },
+
+  offset( { params, total, hasTotal, hasMore } ) {
+
+    const limit = toInteger(params.limit, 'limit');
+    const offset = params.offset === undefined ? 0 : toInteger(params.offset, 'offset');
+    const page = ( o ) => ({ offset: o, limit });
+    const meta = { offset, limit };
+
+    if ( hasTotal ) {
+      meta.total = total;
+    } else if ( hasMore !== undefined ) {
+      meta.hasMore = Boolean(hasMore);
+    }
+
+    // The last page starts at the greatest multiple of the limit that is less
+    // than the total, so it is aligned with the pages reached from "first".
+    const lastOffset = hasTotal ? Math.max(0, Math.ceil(total / limit) - 1) * limit : null;
+
+    return {
+      self: page(offset),
+      first: page(0),
+      prev: offset > 0 && page(Math.max(0, offset - limit)),
+      next: ( hasTotal ? offset + limit < total : isMore(hasMore) ) && page(offset + limit),
+      last: hasTotal && page(lastOffset),
+      meta,
+    };
+  },
+
+  cursor( { params, total, hasTotal, hasMore, cursors } ) {
+
+    const size = params.size === undefined ? undefined : toInteger(params.size, 'size');
+    const page = ( cursor ) => {
+
+      const obj = {};
+
+      if ( cursor !== undefined ) {
+        obj.cursor = cursor;
+      }
+
+      if ( size !== undefined ) {
+        obj.size = size;
+      }
+
+      return obj;
+    };
+    const meta = {};
+
+    if ( params.cursor !== undefined ) {
+      meta.cursor = params.cursor;
+    }
+
+    if ( size !== undefined ) {
+      meta.size = size;
+    }
+
+    // Without an explicit flag we assume there are more resources whenever
+    // we have been given a cursor for the next page.
+    const hasNext = isSet(cursors.next) && hasMore !== false;
+
+    if ( hasTotal ) {
+      meta.total = total;
+    } else if ( hasMore !== undefined || isSet(cursors.next) ) {
+      meta.hasMore = hasNext;
+    }
+
+    // Opaque cursors cannot be used to jump to the end of a collection so
+    // there is never a "last" link.
+    return {
+      self: page(params.cursor),
+      first: page(),
+      prev: isSet(cursors.prev) && page(cursors.prev),
+      next: hasNext && page(cursors.next),
+      last: null,
+      meta,
+    };
+  },
+};
+
+// Build a URL from a path, a map of query parameters and a map of "page"
+// parameters. Parameter names and values are percent-encoded.
+function buildUrl( url, query, page ) {
+
+  const pairs = Object.keys(query).map(( key ) => [ key, query[ key ] ])
+    .concat(Object.keys(page).map(( key ) => [ `page[${ key }]`, page[ key ] ]))
+    .map(( [ key, value ] ) =>
+      `${ encodeURIComponent(key) }=${ encodeURIComponent(value) }`
+    );
+
+  if ( !pairs.length ) {
+    return url;
+  }
+
+  return `${ url }${ url.indexOf('?') > -1 ? '&' : '?' }${ pairs.join('&') }`;
+}
+
+// Convert a pagination parameter, which may have come straight from a query
+// string, to an integer. Only an offset may be zero.
+function toInteger( value, name ) {
+
+  const int = Number(value);
+  const min = name === 'offset' ? 0 : 1;
+
+  if ( !( int >= min ) || Math.floor(int) !== int ) {
+    throw new Error(`Expected "page[${ name }]" to be an integer of at least ${ min }.`);
+  }
+
+  return int;
+}
+
+// Determine whether a page may follow the current one when the total is not
+// known. Unless the caller has said otherwise we cannot rule it out.
+function isMore( hasMore ) {
+  return hasMore === undefined || Boolean(hasMore);
+}
+
+function isSet( value ) {
+  return value !== undefined && value !== null;
+}
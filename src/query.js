@@ -0,0 +1,352 @@
+import { parse } from 'querystring';
+import { createDocumentError, createError } from './errors';
+import { buildNameMap, getModelForType, resolveFormat } from './formats';
+
+// The pagination parameters of each strategy supported by "paginate" (see
+// "src/pagination.js").
+const PAGE_PARAMETERS = {
+  number: [ 'number', 'size' ],
+  offset: [ 'offset', 'limit' ],
+  cursor: [ 'cursor', 'size' ],
+};
+
+// The parameter that sets the size of a page, by strategy, if "paginate"
+// cannot build the links of a page without it.
+const PAGE_SIZE_PARAMETERS = {
+  number: 'size',
+  offset: 'limit',
+};
+
+// The size of a page when the request does not give one.
+const DEFAULT_PAGE_SIZE = 10;
+
+// The query parameter families that have members, e.g. "fields[post]".
+const FAMILIES = [ 'fields', 'page', 'filter' ];
+
+// Parse the JSON API query parameters of a request, as per
+// http://jsonapi.org/format/#fetching
+//
+// Arguments:
+//   query        {String|Object}   The query string, or the query parameters
+//                                  as an object. Members of a parameter family
+//                                  can be given either as nested objects, e.g.
+//                                  { fields: { post: "title" } }, or with
+//                                  bracketed keys, e.g. { "fields[post]":
+//                                  "title" }.
+//   app          {Object}          The Kudu app with which the models are
+//                                  registered.
+//   options      {Object}          A configuration object. See below.
+//
+// Options:
+//   type         {String}     The resource type of the primary data. Include
+//                             paths, sort fields and filters refer to its
+//                             schema and are only checked if it is given.
+//   keyFormat    {String|Function}
+//                             The format of attribute and relationship
+//                             names. See "toJSON".
+//   typeFormat   {String|Function}
+//                             The format of resource types. See "toJSON".
+//   defaultPageSize {Number}
+//                             The size of a page when "page[number]" or
+//                             "page[offset]" is given without "page[size]"
+//                             or "page[limit]". Defaults to 10.
+//
+// Returns an object with any of the following properties. It can be passed as
+// the options of "toJSON", which ignores "sort" and "filter".
+//   include      {Array}      The relationship paths to include, as given.
+//   fields       {Object}     A map of resource type to an array of field
+//                             names, as given.
+//   sort         {Array}      The sort fields in order of precedence. Each is
+//                             an object with the schema property "key", the
+//                             "member" name as given and a "descending" flag.
+//   page         {Object}     The pagination "strategy" and "params", as
+//                             expected by the "page" option of "toJSON".
+//                             Numeric parameters are converted to numbers
+//                             and a missing page size is set to the default.
+//   filter       {Object}     The filter parameters, keyed by schema property
+//                             name if "type" is given and as given otherwise.
+//
+// If any parameter refers to an unknown type, field or relationship or is
+// otherwise malformed an Error is thrown. Its "errors" property lists each
+// problem as an Error with a "status" of 400 and a "source.parameter" naming
+// the offending query parameter, so it can be passed to "errorsToJSON".
+export default function parseQuery( query, app, {
+  type,
+  keyFormat,
+  typeFormat,
+  defaultPageSize = DEFAULT_PAGE_SIZE,
+} = {} ) {
+
+  const params = normalizeQuery(query);
+  const errors = [];
+  const state = {
+    app,
+    formatKey: resolveFormat(keyFormat),
+    formatType: resolveFormat(typeFormat),
+  };
+  const fail = ( detail, parameter ) => {
+    errors.push(createError(detail, { parameter }));
+  };
+
+  // A parameter family given without members, e.g. "fields=title", cannot be
+  // interpreted so it is rejected as a whole.
+  FAMILIES.forEach(( family ) => {
+
+    const value = params[ family ];
+
+    if ( value !== undefined && ( !value || typeof value !== 'object' || Array.isArray(value) ) ) {
+      fail(`The "${ family }" parameter must be given as "${ family }[...]".`, family);
+      delete params[ family ];
+    }
+  });
+
+  let Model;
+
+  if ( type !== undefined ) {
+
+    Model = getModelForType(type, state);
+
+    if ( !Model ) {
+      throw new Error(`No model has been registered for type "${ type }".`);
+    }
+  }
+
+  const result = {};
+
+  if ( params.include !== undefined ) {
+
+    result.include = list(params.include);
+
+    if ( Model ) {
+      result.include.forEach(( path ) => {
+
+        const member = findInvalidInclude(path.split('.'), [ Model ], state);
+
+        if ( member ) {
+          fail(`The include path "${ path }" has no relationship "${ member }".`, 'include');
+        }
+      });
+    }
+  }
+
+  if ( params.fields !== undefined ) {
+
+    result.fields = Object.keys(params.fields).reduce(( obj, fieldType ) => {
+
+      const parameter = `fields[${ fieldType }]`;
+      const FieldModel = getModelForType(fieldType, state);
+
+      obj[ fieldType ] = list(params.fields[ fieldType ]);
+
+      if ( !FieldModel ) {
+        fail(`The resource type "${ fieldType }" does not exist.`, parameter);
+        return obj;
+      }
+
+      const names = fieldNames(FieldModel, state);
+
+      obj[ fieldType ].forEach(( field ) => {
+
+        if ( !names[ field ] ) {
+          fail(`The "${ fieldType }" resource type has no field "${ field }".`, parameter);
+        }
+      });
+
+      return obj;
+    }, {});
+  }
+
+  if ( params.sort !== undefined ) {
+
+    const names = Model && buildNameMap(
+      Object.keys(Model.schema.properties || {}),
+      state.formatKey
+    );
+
+    result.sort = list(params.sort).map(( field ) => {
+
+      const descending = field.charAt(0) === '-';
+      const member = descending ? field.slice(1) : field;
+
+      if ( names && !names[ member ] ) {
+        fail(`The resource type "${ type }" has no attribute "${ member }".`, 'sort');
+      }
+
+      return {
+        key: names ? names[ member ] : member,
+        member,
+        descending,
+      };
+    });
+  }
+
+  if ( params.page !== undefined ) {
+    result.page = parsePage(params.page, defaultPageSize, fail);
+  }
+
+  if ( params.filter !== undefined ) {
+
+    const names = Model && fieldNames(Model, state);
+
+    result.filter = Object.keys(params.filter).reduce(( obj, member ) => {
+
+      if ( names && !names[ member ] ) {
+        fail(
+          `The resource type "${ type }" has no field "${ member }".`,
+          `filter[${ member }]`
+        );
+      }
+
+      obj[ names && names[ member ] || member ] = params.filter[ member ];
+
+      return obj;
+    }, {});
+  }
+
+  if ( errors.length ) {
+
+    const error = createDocumentError(errors);
+
+    error.message = 'The query parameters are invalid.';
+
+    throw error;
+  }
+
+  return result;
+}
+
+//
+// Utility functions
+//
+
+// Convert a query string or query object to an object in which the members of
+// each parameter family are grouped in a nested object.
+function normalizeQuery( query ) {
+
+  if ( typeof query === 'string' ) {
+    query = parse(query.replace(/^\?/, ''));
+  }
+
+  return Object.keys(query || {}).reduce(( obj, key ) => {
+
+    const value = query[ key ];
+    const match = /^(\w+)\[([^\]]*)\]$/.exec(key);
+
+    if ( match && FAMILIES.indexOf(match[ 1 ]) > -1 ) {
+      obj[ match[ 1 ] ] = Object.assign({}, obj[ match[ 1 ] ], { [ match[ 2 ] ]: value });
+    } else if ( FAMILIES.indexOf(key) > -1 && value && typeof value === 'object' ) {
+      obj[ key ] = Object.assign({}, obj[ key ], value);
+    } else {
+      obj[ key ] = value;
+    }
+
+    return obj;
+  }, {});
+}
+
+// Split a comma-separated parameter value into a list. A parameter that is
+// repeated in the query string has an array of values.
+function list( value ) {
+  return [].concat(value)
+    .join(',')
+    .split(',')
+    .map(( item ) => item.trim())
+    .filter(( item ) => item);
+}
+
+// Map the formatted names of the attributes and relationships of a model to
+// their schema property names.
+function fieldNames( Model, state ) {
+  return buildNameMap(
+    Object.keys(Model.schema.properties || {})
+      .concat(Object.keys(Model.schema.relationships || {})),
+    state.formatKey
+  );
+}
+
+// Follow an include path from the models of the resources at its start.
+// Returns the first member of the path that is not a relationship of any of
+// them, or undefined if the path is valid. The resources of a polymorphic
+// relationship can be of several types so each step can have several models.
+function findInvalidInclude( path, Models, state ) {
+
+  if ( !path.length ) {
+    return undefined;
+  }
+
+  const member = path[ 0 ];
+  const related = Models.reduce(( arr, Model ) => {
+
+    const relationshipSchema = Model.schema.relationships || {};
+    const key = buildNameMap(Object.keys(relationshipSchema), state.formatKey)[ member ];
+
+    if ( !key ) {
+      return arr;
+    }
+
+    const types = relationshipSchema[ key ].types || [ relationshipSchema[ key ].type ];
+
+    return arr.concat(types.map(( relatedType ) => state.app.getModel(relatedType)));
+  }, []);
+
+  if ( !related.length ) {
+    return member;
+  }
+
+  // A related model that is not registered has no known relationships, so we
+  // cannot check the rest of the path against it.
+  if ( related.some(( Model ) => !Model ) ) {
+    return undefined;
+  }
+
+  return findInvalidInclude(path.slice(1), related, state);
+}
+
+// Parse the "page" parameters into the "strategy" and "params" options of
+// "paginate". The strategy is inferred from the parameters. If it needs a page
+// size that is not given the default is used. Numeric parameters must be
+// positive integers, except for an offset, which may be zero.
+function parsePage( page, defaultPageSize, fail ) {
+
+  const names = Object.keys(page);
+  const strategy = Object.keys(PAGE_PARAMETERS).find(( candidate ) =>
+    names.every(( name ) => PAGE_PARAMETERS[ candidate ].indexOf(name) > -1)
+  );
+
+  if ( !strategy ) {
+    fail('The page parameters do not belong to a single pagination strategy.', 'page');
+    return undefined;
+  }
+
+  const sizeParameter = PAGE_SIZE_PARAMETERS[ strategy ];
+  const defaults = {};
+
+  if ( sizeParameter && names.indexOf(sizeParameter) === -1 ) {
+    defaults[ sizeParameter ] = defaultPageSize;
+  }
+
+  return {
+    strategy,
+    params: names.reduce(( params, name ) => {
+
+      if ( name === 'cursor' ) {
+        params[ name ] = page[ name ];
+        return params;
+      }
+
+      const value = Number(page[ name ]);
+      const min = name === 'offset' ? 0 : 1;
+
+      if ( !/^\d+$/.test(page[ name ]) || value < min ) {
+        fail(
+          `The "page[${ name }]" parameter must be an integer of at least ${ min }.`,
+          `page[${ name }]`
+        );
+      }
+
+      params[ name ] = value;
+
+      return params;
+    }, defaults),
+  };
+}
@@ -1,4 +1,169 @@
-export default {
+import { buildNameMap, getModelForType, resolveFormat } from './formats';
+import {
+  formatId,
+  getInstanceId,
+  isUuid,
+  localIdOf,
+  resourceKey,
+  setInstanceId,
+} from './ids';
+import { buildLink, parseLink, resolveLinkConfig } from './links';
+import negotiate, { formatContentType } from './media';
+import paginate from './pagination';
+import parseQuery from './query';
+import createDocumentStream from './stream';
+import { transformValue } from './transforms';
+import validate from './validate';
+import {
+  buildErrorObjects,
+  createDocumentError,
+  createError,
+  createErrorMapper,
+  pointer,
+} from './errors';
+
+// The methods of a serializer that make up its public interface, as opposed to
+// the hooks used to build resource objects.
+const PUBLIC_METHODS = [
+  'toJSON',
+  'toJSONStream',
+  'errorsToJSON',
+  'negotiate',
+  'contentType',
+  'parseQuery',
+  'registerErrorMapper',
+  'validate',
+  'fromJSON',
+  'relationshipToJSON',
+  'relationshipFromJSON',
+  'operationsFromJSON',
+  'operationResultsToJSON',
+];
+
+// A serializer converts Kudu model instances to JSON API documents and back.
+// The default export of this module is a serializer without any options.
+//
+// The resource object of each model instance is built by a set of hooks (see
+// "resourceType" and those that follow it). A subclass can override them for
+// all models and "register" can override them for a single model, so the
+// output for one model can be customised without affecting the others.
+export class JsonApiSerializer {
+
+  // Arguments:
+  //   options      {Object}          Default options for every method, e.g.
+  //                                  { keyFormat: "kebab" }. Options passed to
+  //                                  a method take precedence.
+  constructor( options = {} ) {
+
+    this.options = options;
+    this.serializers = new Map();
+    this.plugins = [];
+    this.errorMappers = [];
+
+    // The methods are bound so they can be used detached from the serializer,
+    // e.g. "const { toJSON } = serializer".
+    PUBLIC_METHODS.forEach(( name ) => {
+      this[ name ] = this[ name ].bind(this);
+    });
+  }
+
+  // Register the serializer used to build the resource objects of the
+  // instances of a single model.
+  //
+  // Arguments:
+  //   Model        {Function|String} A Kudu model constructor or its singular
+  //                                  name.
+  //   serializer   {Function|Object} A subclass of JsonApiSerializer, which is
+  //                                  instantiated with the options of this
+  //                                  serializer, an instance of one, or an
+  //                                  object with any of the hooks. Hooks the
+  //                                  object does not have are those of this
+  //                                  serializer.
+  //
+  // Returns this serializer so calls can be chained.
+  register( Model, serializer ) {
+
+    const name = typeof Model === 'string' ? Model : Model.singular;
+
+    if ( typeof serializer === 'function' ) {
+
+      const Serializer = serializer;
+
+      serializer = new Serializer(this.options);
+    } else if ( !( serializer instanceof JsonApiSerializer ) ) {
+      serializer = Object.assign(Object.create(this), serializer);
+    }
+
+    this.serializers.set(name, serializer);
+
+    return this;
+  }
+
+  // Register a profile or extension, as per
+  // https://jsonapi.org/format/1.1/#extensions and
+  // https://jsonapi.org/format/1.1/#profiles
+  //
+  // Arguments:
+  //   plugin       {Object}          The profile or extension. See below.
+  //
+  // Plugin properties:
+  //   ext          {String}     The URI of the extension. Either this or
+  //                             "profile" must be set.
+  //   profile      {String}     The URI of the profile.
+  //   namespace    {String}     The namespace of the members an extension
+  //                             adds, e.g. "version" for "version:id".
+  //                             Required for extensions.
+  //   resource     {Function}   Called with each model instance serialized by
+  //                             "toJSON", its resource object and the options.
+  //                             Returns an object of members to add to the
+  //                             resource object.
+  //   document     {Function}   Called with the options of each document that
+  //                             is serialized. Returns an object of members to
+  //                             add to the top level of the document.
+  //   readResource {Function}   Called by "fromJSON" with the members of each
+  //                             resource object that belong to the plugin, the
+  //                             model instance built from it and the resource
+  //                             object itself. Applies the members to the
+  //                             instance.
+  //   readDocument {Function}   Called by "fromJSON" and "operationsFromJSON"
+  //                             with the top-level members of the document
+  //                             that belong to the plugin, the result, i.e.
+  //                             the model instance(s) or the operations, and
+  //                             the document itself.
+  //
+  // The members of an extension are added with its namespace, e.g. "id"
+  // becomes "version:id", and are read back without it. The members of a
+  // profile are added to and read from the "meta" member. Documents list the
+  // URIs of the plugins in their "jsonapi" member. The "ext" and "profile"
+  // options of any method, e.g. as returned by "negotiate", limit the plugins
+  // that apply to those with the given URIs.
+  //
+  // Returns this serializer so calls can be chained.
+  use( plugin ) {
+
+    if ( !plugin || typeof ( plugin.ext || plugin.profile ) !== 'string' ) {
+      throw new Error('Expected a plugin with an "ext" or "profile" URI.');
+    }
+
+    if ( plugin.ext && !/^[a-zA-Z0-9]+$/.test(plugin.namespace) ) {
+      throw new Error('An extension must have an alphanumeric "namespace".');
+    }
+
+    if ( plugin.ext && this.plugins.some(( other ) => other.namespace === plugin.namespace) ) {
+      throw new Error(`The "${ plugin.namespace }" namespace is already in use.`);
+    }
+
+    this.plugins.push(plugin);
+
+    return this;
+  }
+
+  // Get the serializer whose hooks build the resource object of a model
+  // instance. This is the serializer registered for its model, if any, or
+  // this one.
+  serializerFor( instance ) {
+    return this.serializers.get(instance.constructor.singular) || this;
+  }
 
   // Serialize a Kudu model instance to a JSON string compliant with the JSON
   // API specification.
@@ -12,15 +177,113 @@ export default {
   //   stringify    {Boolean}    If set, return a JSON string. Otherwise,
   //                             return a serializable subset of the model
   //                             instance as an object.
-  //   requireId    {Boolean}    If set, an "id" property must be present on
+  //   requireId    {Boolean}    If set, an identifier must be present on
   //                             the instance. This is almost always the case,
   //                             except when the resource has been created on
-  //                             the client and not saved.
+  //                             the client and not saved. Unsaved instances
+  //                             are identified by a local identifier ("lid")
+  //                             instead, as per JSON API 1.1. An instance can
+  //                             provide its own "lid" property. Otherwise one
+  //                             is generated.
+  //   fields       {Object}     A map of resource type to an array (or comma-
+  //                             separated string) of field names, as per
+  //                             http://jsonapi.org/format/#fetching-sparse-fieldsets
+  //                             Resources of a listed type only include the
+  //                             named attributes and relationships. Types
+  //                             that are not listed include all fields.
+  //   include      {Array}      An array (or comma-separated string) of dot-
+  //                             separated relationship paths, as per
+  //                             http://jsonapi.org/format/#fetching-includes
+  //                             If set, only related resources on these paths
+  //                             are added to "included". Otherwise every
+  //                             nested model instance is included.
+  //   maxDepth     {Number}     The maximum number of relationships to follow
+  //                             from the primary data when building "included".
+  //                             For example, 1 only includes resources that
+  //                             are directly related to the primary data. Not
+  //                             limited by default.
+  //   meta         {Object}     Non-standard meta-information to add to the
+  //                             top level of the document, e.g. a total count.
+  //   links        {Object}     Links to add to the top level of the document,
+  //                             e.g. "self" or the pagination links "first",
+  //                             "prev", "next" and "last".
+  //   jsonapi      {Boolean|Object}
+  //                             If set, add a "jsonapi" member describing the
+  //                             server implementation. An object is used as
+  //                             the member itself. Otherwise the member is
+  //                             { version: "1.0" }.
+  //   resourceMeta {Function}   Called with each model instance that is
+  //                             serialized, both in primary data and included.
+  //                             The returned object, if any, becomes the "meta"
+  //                             member of the resource object.
+  //   resourceLinks {Function}  Called with each model instance that is
+  //                             serialized. The returned object, if any,
+  //                             becomes the "links" member of the resource
+  //                             object, e.g. { self: "/posts/1" }.
+  //   page         {Object}     Pagination options for a collection. See
+  //                             "src/pagination.js" for details. The generated
+  //                             "self", "first", "prev", "next" and "last"
+  //                             links and "page" meta-information are merged
+  //                             with any "links" and "meta" options, which
+  //                             take precedence.
+  //   linkBuilder  {Boolean|Object}
+  //                             Controls the URLs of resource "self" links and
+  //                             relationship "self" and "related" links. Set
+  //                             to false to omit them. An object may specify a
+  //                             "baseUrl", e.g. "https://example.com/api/v2",
+  //                             and "self", "relationship" and "related" URL
+  //                             templates or functions. See "src/links.js" for
+  //                             details. A model constructor can override the
+  //                             option with its own "linkBuilder" property.
+  //                             Resource "self" links are only included when
+  //                             a link builder is configured.
+  //   keyFormat    {String|Function}
+  //                             The format of attribute and relationship
+  //                             names. One of "camel", "kebab" or "snake", or
+  //                             a function that takes a schema property name
+  //                             and returns the member name. By default names
+  //                             are used as they appear in the schema. The
+  //                             "fields" and "include" options refer to the
+  //                             formatted names.
+  //   typeFormat   {String|Function}
+  //                             The format of resource types, as for
+  //                             "keyFormat". Applied to the singular name of
+  //                             the model. The "fields" option is keyed by the
+  //                             formatted types.
+  //   context      {Object}     Information about the request, e.g. the user
+  //                             making it. Passed to schema "public" functions
+  //                             to decide whether a property or relationship
+  //                             is visible. A "roles" array (or a "role"
+  //                             string) is matched against "public" role
+  //                             lists.
+  //
+  // Related model instances that have not been saved are included too and
+  // resource linkage refers to them by "type" and "lid", so a whole graph of
+  // new resources can be sent in a single document.
   //
-  toJSON( instance = null, {
-    stringify = true,
-    requireId = true,
-  } = {} ) {
+  // Resource linkage to a model instance uses the type of the instance's own
+  // model. A polymorphic relationship, whose related resources can be of
+  // several types, lists them in a "types" array in the relationship schema,
+  // e.g. { types: [ "post", "photo" ] }. A related resource given as an
+  // object with a "type" and "id", as read by "fromJSON", keeps its type.
+  // Otherwise the relationship needs a "resolveType" function that returns the
+  // type of a related resource given only its identifier, unless related
+  // resources are always model instances.
+  //
+  // The identifier of a model instance is its "id" property unless the model
+  // declares a "primaryKey", e.g. "_id" or an array of property names for a
+  // composite key, on the constructor or its schema. See "src/ids.js" for
+  // details. Identifiers are always serialized as strings.
+  toJSON( instance = null, options = {} ) {
+
+    options = Object.assign({}, this.options, options);
+
+    const {
+      stringify = true,
+      requireId = true,
+      include,
+      maxDepth = Infinity,
+    } = options;
 
     // If we don't have an instance to serialize we just return null.
     if ( !instance ) {
@@ -28,39 +291,106 @@ export default {
     }
 
     const doc = Object.create(null);
-    let included;
+    const resourceOptions = resolveResourceOptions(options, this);
+    const instances = Array.isArray(instance) ? instance : [ instance ];
+    const resources = instances.map(( item ) =>
+      buildResource(item, Object.assign({ requireId }, resourceOptions))
+    );
 
-    if ( Array.isArray(instance) ) {
+    doc.data = Array.isArray(instance) ? resources : resources[ 0 ];
 
-      doc.data = instance.map(buildResource);
-      included = flatten(instance.map(buildCompoundDocuments));
-    } else {
+    // Each related resource only appears once in "included" no matter how
+    // many times it is referenced. This potentially reduces the size of data
+    // being sent over the wire.
+    const collector = createCompoundCollector(
+      Object.assign({ requireId }, resourceOptions),
+      buildIncludeTree(include),
+      maxDepth
+    );
+
+    instances.forEach(( item, i ) => collector.addPrimary(item, resources[ i ]));
+    instances.forEach(( item ) => collector.traverse(item));
+
+    const included = collector.included();
 
-      doc.data = buildResource(instance, requireId);
-      included = buildCompoundDocuments(instance);
+    if ( included.length ) {
+      doc.included = included;
     }
 
-    if ( included && included.length ) {
+    Object.assign(doc, buildTopLevelMembers(options, this, resourceOptions));
 
-      // Remove any duplicate documents from the array of includes. We treat two
-      // documents as equal if they have the same type and identifier. This
-      // potentially reduces the size of data being sent over the wire.
-      included = included.reduce(( arr, item ) => {
+    return stringify ? JSON.stringify(doc) : doc;
+  }
 
-        if ( !arr.some(( doc ) =>
-          doc.type === item.type && doc.id === item.id)
-        ) {
-          arr.push(item);
-        }
+  // Serialize a collection of Kudu model instances to a stream of JSON text
+  // compliant with the JSON API specification. The document is written
+  // incrementally so the whole collection never has to be held in memory.
+  //
+  // Arguments:
+  //   source       {Array|Object}    The model instances. An array, an
+  //                                  iterator, an iterable, an async iterator,
+  //                                  an async iterable or a Node Readable
+  //                                  stream in object mode.
+  //   options      {Object}          A configuration object. Accepts the same
+  //                                  options as "toJSON", except "stringify".
+  //
+  // Returns a Node Readable stream that can be piped, for example with
+  // "stream.pipeline", into an HTTP response. The primary data is written as
+  // each instance is read from the source. The "included" resources are
+  // written at the end, followed by any "links", "meta" and "jsonapi" members.
+  // Since primary resources have already been written by then, an included
+  // resource that duplicates one of them is dropped but not merged into it.
+  toJSONStream( source, options = {} ) {
 
-        return arr;
-      }, []);
+    options = Object.assign({}, this.options, options);
 
-      doc.included = included;
-    }
+    const {
+      requireId = true,
+      include,
+      maxDepth = Infinity,
+    } = options;
 
-    return stringify ? JSON.stringify(doc) : doc;
-  },
+    const resourceOptions = Object.assign(
+      { requireId },
+      resolveResourceOptions(options, this)
+    );
+    const collector = createCompoundCollector(
+      resourceOptions,
+      buildIncludeTree(include),
+      maxDepth
+    );
+    const serializer = this;
+
+    return createDocumentStream(source, {
+
+      serialize( instance ) {
+
+        const resource = buildResource(instance, resourceOptions);
+
+        // The resource has been written by the time related resources would be
+        // merged into it so the collector does not keep it.
+        collector.addPrimary(instance);
+        collector.traverse(instance);
+
+        return JSON.stringify(resource);
+      },
+
+      finish() {
+
+        const members = {};
+        const included = collector.included();
+
+        if ( included.length ) {
+          members.included = included;
+        }
+
+        return Object.assign(
+          members,
+          buildTopLevelMembers(options, serializer, resourceOptions)
+        );
+      },
+    });
+  }
 
   // Serialize an Error-like object or an array of Error-like objects to a JSON
   // string compliant with the JSON API specification.
@@ -73,7 +403,12 @@ export default {
   //                                  errors as an object.
   //
   // An Error-like object is an instance of the built-in Error constructor or
-  // an object that a "message" property.
+  // an object that a "message" property. The "id", "links", "status", "code",
+  // "title", "detail", "source" and "meta" properties of the object are copied
+  // to the error object. If there is no "detail" property the "message" is
+  // used instead. Errors for which a mapper has been registered (see
+  // "registerErrorMapper") are mapped first and may produce several error
+  // objects.
   errorsToJSON( errors, stringify = true ) {
 
     // The JSON API specification states that errors must be located in an
@@ -85,10 +420,7 @@ export default {
 
     // Map the array of Error-like objects to error objects that are compliant
     // with the JSON API spec.
-    errors = errors.map(( error ) => ({
-      detail: error.message,
-      status: error.status,
-    }));
+    errors = buildErrorObjects(errors, this.errorMappers);
 
     // If the "stringify" flag was set we convert the new object into a
     // serialized JSON string. Otherwise we just return the new object.
@@ -101,157 +433,1932 @@ export default {
     }
 
     return response;
-  },
-};
+  }
 
-//
-// Utility functions
-//
+  // Check the "Content-Type" and "Accept" headers of a request against the
+  // content negotiation rules of the JSON API specification.
+  //
+  // Arguments:
+  //   headers      {Object}          The "contentType" and "accept" header
+  //                                  values of the request.
+  //   options      {Object}          The "ext" and "profile" URIs the server
+  //                                  supports. Default to those of the
+  //                                  registered plugins (see "use").
+  //
+  // Returns an object with the "ext" and "profile" URIs that apply to the
+  // response and its "contentType" header, as described in "src/media.js".
+  // If the request is not acceptable it also has the "status" to respond with,
+  // 415 or 406, and the error "document" to send. Otherwise both are null.
+  negotiate( headers, options ) {
 
-// Build a JSON API resource object for a Kudu model instance as per
-// http://jsonapi.org/format/#document-resource-objects
-function buildResource( instance, requireId = true ) {
+    const supported = [ 'ext', 'profile' ].reduce(( obj, kind ) => {
 
-  // A JSON API resource object must contain top-level "id" and "type"
-  // properties. We can infer the type from the name registered when the model
-  // constructor was created but "id" must be present on the instance itself.
-  if ( requireId && !instance.hasOwnProperty('id') ) {
-    throw new Error('Expected an "id" property.');
+      obj[ kind ] = this.plugins
+        .filter(( plugin ) => plugin[ kind ])
+        .map(( plugin ) => plugin[ kind ]);
+
+      return obj;
+    }, {});
+    const result = negotiate(headers, Object.assign(supported, options));
+    const errors = result.errors;
+
+    result.status = errors.length ? errors[ 0 ].status : null;
+    result.document = errors.length ?
+      JSON.stringify({ errors: buildErrorObjects(errors, this.errorMappers) }) :
+      null;
+
+    return result;
   }
 
-  // Get the schema that applies to this model instance. The schema specifies
-  // which properties can and cannot be transmitted to a client.
-  const schema = instance.constructor.schema.properties;
-  const resource = {
-    type: instance.constructor.singular,
-    id: instance.id,
-    attributes: Object.keys(instance).reduce(( obj, key ) => {
+  // Parse the JSON API query parameters of a request, e.g. "include" and
+  // "fields", into an object that can be used as the options of "toJSON". See
+  // "src/query.js" for details.
+  //
+  // Arguments:
+  //   query        {String|Object}   The query string or the parsed query
+  //                                  parameters.
+  //   app          {Object}          The Kudu app with which the models are
+  //                                  registered.
+  //   options      {Object}          The resource "type" of the primary data,
+  //                                  the "keyFormat" and "typeFormat" options
+  //                                  of "toJSON" and the "defaultPageSize".
+  parseQuery( query, app, options = {} ) {
+    return parseQuery(query, app, Object.assign({}, this.options, options));
+  }
 
-      const keySchema = schema[ key ];
+  // Build the "Content-Type" header of a JSON API response to which the given
+  // "ext" and "profile" URIs apply.
+  contentType( options ) {
+    return formatContentType(options);
+  }
 
-      // If a property is present in the model schema, and the property is
-      // "public" then it will be included in the serialization. All properties
-      // are public by default.
-      if (
-        keySchema &&
-        ( keySchema.public === true || keySchema.public === undefined )
-      ) {
-        obj[ key ] = instance[ key ];
+  // Register a function that maps instances of an error class to one or more
+  // Error-like objects before they are serialized by "errorsToJSON".
+  //
+  // Arguments:
+  //   ErrorClass   {Function}    The error constructor.
+  //   mapper       {Function}    Called with an instance of the error class.
+  //                              Must return an Error-like object or an array
+  //                              of Error-like objects.
+  //
+  // Mappers only apply to this serializer. Those registered later take
+  // precedence over those registered earlier. Kudu validation errors are
+  // mapped to one error object per invalid field by default, with a
+  // "source.pointer" into "/data/attributes". The errors thrown by "fromJSON",
+  // "validate" and the other methods of the serializer are always mapped to
+  // their individual problems first.
+  registerErrorMapper( ErrorClass, mapper ) {
+    this.errorMappers.unshift(createErrorMapper(ErrorClass, mapper));
+  }
+
+  // Validate the structure of a JSON API document against the specification.
+  // Returns an array of errors, each with a "source.pointer" to the offending
+  // member, that can be passed straight to "errorsToJSON". An empty array
+  // means the document is valid.
+  //
+  // Arguments:
+  //   doc          {String|Object}   A JSON API document, either as a JSON
+  //                                  string or as an already-parsed object.
+  //   options      {Object}          A configuration object. See below.
+  //
+  // Options:
+  //   requireId    {Boolean}    If set, resource objects in the primary data
+  //                             must have an "id" member. Unset it when
+  //                             validating a document that creates a resource.
+  //
+  validate( doc, options ) {
+
+    if ( typeof doc === 'string' ) {
+
+      try {
+        doc = JSON.parse(doc);
+      } catch ( err ) {
+
+        return [ createError('The document is not valid JSON.') ];
       }
+    }
 
-      return obj;
-    }, {}),
-  };
+    return validate(doc, options);
+  }
 
-  // Get any relationships that apply to this model instance.
-  const relationshipSchema = instance.constructor.schema.relationships || {};
-  const plural = instance.constructor.plural;
+  // Deserialize a JSON API document to a Kudu model instance or an array of
+  // Kudu model instances. This is the inverse of "toJSON".
+  //
+  // Arguments:
+  //   json         {String|Object}   A JSON API document, either as a JSON
+  //                                  string or as an already-parsed object.
+  //   app          {Object}          The Kudu app with which the models named
+  //                                  by the resource "type" members are
+  //                                  registered.
+  //
+  // Related resources present in the "included" member of the document are
+  // deserialized to model instances themselves. Any other relationship
+  // linkage is reduced to the identifier of the related resource, mirroring
+  // the way "toJSON" treats string relationship values. The type of each
+  // related resource must be allowed by the relationship schema (see "toJSON"
+  // for polymorphic relationships). The document is otherwise assumed to be
+  // well-formed. Use "validate" first to check incoming data. The "id" of each
+  // resource is applied to the primary key of its model (see "toJSON").
+  //
+  // Options:
+  //   keyFormat    {String|Function}
+  //                             The format of attribute and relationship
+  //                             names in the document. See "toJSON".
+  //   typeFormat   {String|Function}
+  //                             The format of resource types in the document.
+  //                             See "toJSON".
+  //   method       {String}     The HTTP method of the request, "POST" or
+  //                             "PATCH". Determines which schema properties
+  //                             and relationships the client may write (see
+  //                             below). Without it nothing is protected, so a
+  //                             document built by "toJSON" can be read back.
+  //   protect      {String|Object}
+  //                             What to do when the document sets a member the
+  //                             client may not write. Either "reject" (the
+  //                             default) or "strip", or an object mapping a
+  //                             method to one of those, e.g.
+  //                             { POST: "strip", PATCH: "reject" }.
+  //   clientIds    {Boolean|String}
+  //                             Whether the primary data of a "POST" request
+  //                             may carry a client-generated "id", as per
+  //                             http://jsonapi.org/format/#crud-creating-client-ids
+  //                             Either true (the default), false to reject
+  //                             such ids or "uuid" to only accept UUIDs.
+  //
+  // Resources identified by a local identifier ("lid") rather than an "id"
+  // are new resources created on the client. Resource linkage that refers to
+  // one by "type" and "lid" is resolved to the instance built from it,
+  // wherever in the document it is. The instance keeps the "lid" so the
+  // server can tell the client which resource each one became.
+  //
+  // When a method is given, schema properties and relationships flagged as
+  // "readOnly" (or with "writable" set to false) can never be written by a
+  // client. Those flagged as "createOnly" can only be written when the method
+  // is "POST". If the document writes any of them and they are not stripped
+  // an Error is thrown. Its "errors" property lists each violation with a
+  // "source.pointer" and it can be passed straight to "errorsToJSON". A
+  // document without "data", or with a resource whose "type" is missing or
+  // not registered, is reported in the same way.
+  fromJSON( json, app, options = {} ) {
+
+    options = Object.assign({}, this.options, options);
 
-  // Build up an object representing the relationships between this instance and
-  // others.
-  const relationships = Object.keys(relationshipSchema).reduce(( obj, key ) => {
+    const {
+      keyFormat,
+      typeFormat,
+      protect = 'reject',
+      clientIds = true,
+    } = options;
+    const method = options.method && options.method.toUpperCase();
+    const doc = typeof json === 'string' ? JSON.parse(json) : json;
 
-    const relationship = Object.create(null);
+    // The JSON API specification states that the primary data of a document
+    // must be located in a "data" property of the top level document.
+    if ( !doc || typeof doc !== 'object' || !hasMember(doc, 'data') ) {
+      throw createDocumentError([
+        createError('The document must contain a "data" member.', { pointer: '' }),
+      ]);
+    }
+
+    if ( doc.data === null ) {
+      return null;
+    }
+
+    // Index any compound documents by type and identifier so relationship
+    // linkage can be resolved to them without repeatedly scanning the array.
+    // We keep the position of each so problems can be reported with a
+    // pointer into the document. A local identifier is only meaningful within
+    // the document so resources of the primary data that have one are indexed
+    // as well.
+    const included = ( doc.included || [] ).reduce(( obj, resource, i ) => {
 
-    // If the instance has an identifier we add "links" to the relationship
-    // object. This is a quick and naïve way of preventing the inclusion of
-    // "links" when serialzing a new instance before posting it to a server.
-    if ( instance.id ) {
-      relationship.links = {
-        self: `/${ plural }/${ instance.id }/relationships/${ key }`,
-        related: `/${ plural }/${ instance.id }/${ key }`,
+      obj[ resourceKey(resource.type, resource.id, resource.lid) ] = {
+        resource,
+        path: [ 'included', i ],
       };
+      return obj;
+    }, Object.create(null));
+
+    ( Array.isArray(doc.data) ? doc.data : [ doc.data ] ).forEach(( resource, i ) => {
+
+      if ( resource && !hasIdentifier(resource) && resource.lid !== undefined ) {
+        included[ resourceKey(resource.type, undefined, resource.lid) ] = {
+          resource,
+          path: Array.isArray(doc.data) ? [ 'data', i ] : [ 'data' ],
+        };
+      }
+    });
+
+    // Keep track of the instances we have already built in the "instances"
+    // map. A resource that is referenced more than once is only deserialized
+    // once, which also means relationships that form a cycle can be resolved.
+    const state = {
+      app,
+      included,
+      instances: Object.create(null),
+      formatKey: resolveFormat(keyFormat),
+      formatType: resolveFormat(typeFormat),
+      method,
+      protect: typeof protect === 'object' ? protect[ method ] || 'reject' : protect,
+      clientIds,
+      plugins: activePlugins(this, options),
+      errors: [],
+    };
+
+    const result = Array.isArray(doc.data) ?
+      doc.data.map(( resource, i ) => buildInstance(resource, state, [ 'data', i ])) :
+      buildInstance(doc.data, state, [ 'data' ]);
+
+    if ( state.errors.length ) {
+      throw createDocumentError(state.errors);
     }
 
-    const nested = instance[ key ];
-    const type = relationshipSchema[ key ].type;
+    readDocumentMembers(doc, result, state);
 
-    // If the value is an array of instances the data of the relationship object
-    // will be an array of resource identifiers. Otherwise it will be a single
-    // resource identifier. If the related data is an object we assume it is a
-    // model instance and therefore has an "id" property. If it's a string we
-    // assume that string represents the unique identifier of another document.
-    if ( Array.isArray(nested) ) {
+    return result;
+  }
+
+  // Serialize a relationship of a Kudu model instance to a JSON string
+  // compliant with the JSON API specification. This is the document served by
+  // the relationship URL, i.e. the "self" link of a relationship object, as
+  // per http://jsonapi.org/format/#fetching-relationships
+  //
+  // Arguments:
+  //   instance     {Object}          A Kudu model instance.
+  //   key          {String}          The name of the relationship in the model
+  //                                  schema.
+  //   options      {Object}          A configuration object. Accepts the
+  //                                  "stringify", "linkBuilder", "keyFormat",
+  //                                  "typeFormat", "context", "meta" and
+  //                                  "jsonapi" options of "toJSON".
+  //
+  // The primary data of the document is the resource linkage of the
+  // relationship. A relationship that is not set on the instance is treated as
+  // empty, i.e. null for a to-one relationship and an empty array for a to-
+  // many relationship.
+  relationshipToJSON( instance, key, options = {} ) {
 
-      relationship.data = nested.map(( item ) => ( {
-        id: item.id ? item.id : item,
-        type,
-      } ));
-    } else if ( nested ) {
+    options = Object.assign({}, this.options, options);
 
-      relationship.data = {
-        id: nested.id ? nested.id : nested,
-        type,
-      };
+    const { stringify = true } = options;
+    const relationshipSchema = instance.constructor.schema.relationships || {};
+
+    if ( !relationshipSchema[ key ] ) {
+      throw new Error(`No relationship named "${ key }".`);
     }
 
-    obj[ key ] = relationship;
-    return obj;
-  }, {});
+    const resourceOptions = resolveResourceOptions(options, this);
 
-  // We only add the "relationships" member if the instance has at least one
-  // relationship. The JSON API specification states that a relationship object
-  // must contain at least one of a set of members and must therefore not be
-  // empty.
-  if ( Object.keys(relationships).length ) {
-    resource.relationships = relationships;
+    if ( !isPublic(relationshipSchema[ key ], instance, resourceOptions.context) ) {
+      throw createError(`The "${ key }" relationship is not accessible.`, null, 403);
+    }
+
+    // The relationship URL always responds with the resource linkage, however
+    // the relationship is configured to appear in resource objects.
+    const relationship = buildRelationship(
+      instance,
+      key,
+      resolveLinkConfig(options.linkBuilder, instance.constructor.linkBuilder),
+      resourceOptions,
+      'always'
+    );
+    const doc = Object.create(null);
+
+    if ( relationship.links ) {
+      doc.links = relationship.links;
+    }
+
+    doc.data = relationship.data;
+
+    // Relationship meta-information is part of the top-level "meta" member,
+    // along with that given by the "meta" option.
+    const members = buildTopLevelMembers(Object.assign({}, options, {
+      meta: relationship.meta || options.meta ?
+        Object.assign({}, relationship.meta, options.meta) :
+        undefined,
+    }), this, resourceOptions);
+
+    Object.assign(doc, members);
+
+    return stringify ? JSON.stringify(doc) : doc;
   }
 
-  return resource;
-}
+  // Deserialize a JSON API document sent to a relationship URL to update the
+  // relationship, as per http://jsonapi.org/format/#crud-updating-relationships
+  //
+  // Arguments:
+  //   json         {String|Object}   A JSON API document, either as a JSON
+  //                                  string or as an already-parsed object.
+  //   Model        {Function|Object} The Kudu model constructor that owns the
+  //                                  relationship, or an instance of it.
+  //   key          {String}          The name of the relationship in the model
+  //                                  schema.
+  //   options      {Object}          A configuration object. See below.
+  //
+  // Options:
+  //   method       {String}     The HTTP method of the request. "PATCH"
+  //                             replaces the relationship. "POST" and "DELETE"
+  //                             add members to and remove members from a to-
+  //                             many relationship. Defaults to "PATCH".
+  //   typeFormat   {String|Function}
+  //                             The format of resource types in the document.
+  //                             See "toJSON".
+  //
+  // Returns the identifiers of the related resources to apply with the given
+  // method. For a to-many relationship this is an array. For a to-one
+  // relationship it is a single identifier, or null to clear the relationship.
+  // The identifiers of a polymorphic relationship are { type, id } objects,
+  // with the type as named in the schema.
+  // If the document is not suitable an Error is thrown. Its "errors" property
+  // lists each problem and it can be passed straight to "errorsToJSON".
+  relationshipFromJSON( json, Model, key, options = {} ) {
 
-// Build an array of resource objects representing compound documents as per
-// http://jsonapi.org/format/#document-compound-documents
-function buildCompoundDocuments( instance ) {
+    options = Object.assign({}, this.options, options);
 
-  const relationshipSchema = instance.constructor.schema.relationships || {};
-  let included = [];
+    const { typeFormat } = options;
+    const method = ( options.method || 'PATCH' ).toUpperCase();
 
-  Object.keys(relationshipSchema).forEach(( key ) => {
+    if ( typeof Model !== 'function' ) {
+      Model = Model.constructor;
+    }
 
-    const nested = instance[ key ];
+    const relationshipSchema = Model.schema.relationships || {};
+    const keySchema = relationshipSchema[ key ];
 
-    if ( Array.isArray(nested) ) {
+    if ( !keySchema ) {
+      throw new Error(`No relationship named "${ key }".`);
+    }
 
-      included = included.concat(nested.map(( item ) => {
+    const doc = typeof json === 'string' ? JSON.parse(json) : json;
 
-        if ( item && item.constructor.schema ) {
-          return buildCompoundDocuments(item);
-        }
-      }));
+    if ( !doc || typeof doc !== 'object' || !hasMember(doc, 'data') ) {
+      throw createDocumentError([
+        createError('The document must contain a "data" member.', { pointer: '' }),
+      ]);
+    }
 
-      included = included.concat(
-        nested
-        .map(( item ) => {
+    const errors = [];
+    const ids = readRelationshipLinkage(doc.data, key, keySchema, {
+      method,
+      types: relatedTypes(keySchema).map(resolveFormat(typeFormat)),
+      path: [ 'data' ],
+      errors,
+    });
 
-          if ( item && item.id ) {
-            return buildResource(item);
-          }
-        })
-      );
-    } else if ( nested && nested.id ) {
-      included.push(buildResource(nested));
+    if ( errors.length ) {
+      throw createDocumentError(errors);
     }
-  });
 
-  return flatten(included.filter(( item ) => item));
-}
+    return ids;
+  }
+
+  // Deserialize a request document of the Atomic Operations extension, as per
+  // https://jsonapi.org/ext/atomic/ The "atomic:operations" member of the
+  // document lists operations that must be performed in order, all or none.
+  //
+  // Arguments:
+  //   json         {String|Object}   A JSON API document, either as a JSON
+  //                                  string or as an already-parsed object.
+  //   app          {Object}          The Kudu app with which the models named
+  //                                  by the resource "type" members are
+  //                                  registered.
+  //   options      {Object}          A configuration object. Accepts the
+  //                                  "keyFormat", "typeFormat", "protect" and
+  //                                  "clientIds" options of "fromJSON" and the
+  //                                  "linkBuilder" option of "toJSON", which
+  //                                  determines how "href" targets are
+  //                                  interpreted.
+  //
+  // An operation targets a resource or relationship with either a "ref"
+  // object or an "href" URL. The "add", "update" and "remove" operations are
+  // treated like "POST", "PATCH" and "DELETE" requests respectively, so the
+  // rules of "fromJSON" and "relationshipFromJSON" about which members can be
+  // written apply. A resource added by an operation can be referred to by its
+  // "lid" in the operations that follow it.
+  //
+  // Returns an array with an object for each operation, in order, with the
+  // following properties:
+  //   op           {String}     "add", "update" or "remove".
+  //   Model        {Function}   The model constructor of the target resource.
+  //   id           {String}     The identifier of the target resource, if it
+  //                             has one.
+  //   lid          {String}     The local identifier of the target resource,
+  //                             if it has one.
+  //   instance     {Object}     The model instance deserialized from "data"
+  //                             when adding or updating a resource. When
+  //                             targeting a resource by "lid" otherwise, the
+  //                             instance added by the earlier operation.
+  //   relationship {String}     The name of the target relationship in the
+  //                             model schema, if any.
+  //   data         {Array|String|Object}
+  //                             The related resources when targeting a
+  //                             relationship, as returned by
+  //                             "relationshipFromJSON". Linkage that refers to
+  //                             a resource by "lid" resolves to its instance.
+  //   meta         {Object}     The "meta" member of the operation, if any.
+  //
+  // If any operation is not valid an Error is thrown. Its "errors" property
+  // lists each problem with a "source.pointer" into the operation, e.g.
+  // "/atomic:operations/3/data/attributes/title", and it can be passed
+  // straight to "errorsToJSON".
+  operationsFromJSON( json, app, options = {} ) {
 
-// Flatten deeply nested arrays.
-function flatten( arr ) {
+    options = Object.assign({}, this.options, options);
 
-  let flat = [];
+    const {
+      keyFormat,
+      typeFormat,
+      protect = 'reject',
+      clientIds = true,
+      linkBuilder,
+    } = options;
+    const doc = typeof json === 'string' ? JSON.parse(json) : json;
 
-  for ( let i = 0; i < arr.length; i++ ) {
+    if ( !doc || typeof doc !== 'object' || !Array.isArray(doc[ ATOMIC_OPERATIONS ]) ) {
+      throw createDocumentError([
+        createError(
+          `The document must contain an "${ ATOMIC_OPERATIONS }" array.`,
+          { pointer: '' }
+        ),
+      ]);
+    }
+
+    // Resources added by an operation are kept in the "locals" map, indexed
+    // by type and local identifier, so later operations can refer to them.
+    const state = {
+      app,
+      included: Object.create(null),
+      locals: Object.create(null),
+      formatKey: resolveFormat(keyFormat),
+      formatType: resolveFormat(typeFormat),
+      clientIds,
+      plugins: activePlugins(this, options),
+      errors: [],
+    };
+    const linkConfig = resolveLinkConfig(linkBuilder);
 
-    let val = arr[ i ];
+    const operations = doc[ ATOMIC_OPERATIONS ].map(( operation, i ) =>
+      readOperation(operation, [ ATOMIC_OPERATIONS, i ], state, { protect, linkConfig })
+    );
 
-    if ( Array.isArray(val) ) {
-      flat = flat.concat(flatten(val));
-    } else {
-      flat.push(val);
+    if ( state.errors.length ) {
+      throw createDocumentError(state.errors);
     }
+
+    readDocumentMembers(doc, operations, state);
+
+    return operations;
+  }
+
+  // Serialize the results of atomic operations to a JSON string compliant with
+  // the Atomic Operations extension, as per
+  // https://jsonapi.org/ext/atomic/#auto-id-responses-4
+  //
+  // Arguments:
+  //   results      {Array}           One entry per operation, in the order of
+  //                                  the operations. Either a Kudu model
+  //                                  instance, e.g. the resource created by
+  //                                  an "add" operation, an object with "data"
+  //                                  (an instance or null) and "meta"
+  //                                  members, or null for an operation that
+  //                                  has no result.
+  //   options      {Object}          A configuration object. Accepts the same
+  //                                  options as "toJSON", except "include",
+  //                                  "maxDepth" and "page".
+  //
+  // Each result object contains the resource object of the instance, if any,
+  // as "data". Result objects never have an "included" member so related
+  // instances are only represented by resource linkage.
+  operationResultsToJSON( results = [], options = {} ) {
+
+    options = Object.assign({}, this.options, options);
+
+    const {
+      stringify = true,
+      requireId = true,
+    } = options;
+
+    const resourceOptions = Object.assign(
+      { requireId },
+      resolveResourceOptions(options, this)
+    );
+    const doc = Object.create(null);
+
+    doc[ ATOMIC_RESULTS ] = results.map(( result ) => {
+
+      const { data, meta } = isModelInstance(result) ? { data: result } : result || {};
+      const obj = {};
+
+      if ( data !== undefined ) {
+        obj.data = data && buildResource(data, resourceOptions);
+      }
+
+      if ( meta ) {
+        obj.meta = meta;
+      }
+
+      return obj;
+    });
+
+    Object.assign(doc, buildTopLevelMembers(options, this, resourceOptions));
+
+    return stringify ? JSON.stringify(doc) : doc;
+  }
+
+  // The hooks below build the members of the resource object of a model
+  // instance. Each is called with the instance and the resolved options of
+  // the method being called, which include "fields", "context", "linkBuilder",
+  // the "formatKey" and "formatType" functions derived from "keyFormat" and
+  // "typeFormat" and the "serializer" itself.
+
+  // Get the "type" of the resource. By default this is the singular name of
+  // the model in the configured format. Resource linkage to the instance uses
+  // the same type.
+  resourceType( instance, options ) {
+    return options.formatType(instance.constructor.singular);
+  }
+
+  // Get the "id" of the resource. By default this is the value of the primary
+  // key of the model (see "getInstanceId"). A number is converted to a string.
+  // If this is undefined or null the resource is identified by a "lid"
+  // instead.
+  resourceId( instance ) {
+    return getInstanceId(instance);
+  }
+
+  // Get the "attributes" of the resource.
+  serializeAttributes( instance, options ) {
+
+    // Get the schema that applies to this model instance. The schema specifies
+    // which properties can and cannot be transmitted to a client.
+    const schema = instance.constructor.schema.properties;
+    const type = this.resourceType(instance, options);
+
+    // Schema properties flagged as "computed" are serialized even if they are
+    // not set on the instance. They must have a "serialize" function which
+    // derives the value from other properties of the instance.
+    const keys = Object.keys(instance).concat(Object.keys(schema).filter(( key ) =>
+      schema[ key ].computed && !instance.hasOwnProperty(key)
+    ));
+
+    return keys.reduce(( obj, key ) => {
+
+      const keySchema = schema[ key ];
+
+      // If a property is present in the model schema, and the property is
+      // "public" then it will be included in the serialization. All properties
+      // are public by default. Visibility can depend on the request context
+      // (see "isPublic"). The value is passed through any transform declared
+      // by the schema, e.g. to format a date.
+      if (
+        keySchema &&
+        isPublic(keySchema, instance, options.context) &&
+        isRequested(key, type, options)
+      ) {
+
+        const value = transformValue(keySchema, 'serialize', instance[ key ], instance);
+
+        if ( value !== undefined ) {
+          obj[ options.formatKey(key) ] = value;
+        }
+      }
+
+      return obj;
+    }, {});
+  }
+
+  // Get the "relationships" of the resource. The member is left out of the
+  // resource object if this is empty.
+  serializeRelationships( instance, options ) {
+
+    // Get any relationships that apply to this model instance.
+    const relationshipSchema = instance.constructor.schema.relationships || {};
+    const type = this.resourceType(instance, options);
+    const linkConfig = resolveLinkConfig(
+      options.linkBuilder,
+      instance.constructor.linkBuilder
+    );
+
+    // Build up an object representing the relationships between this instance
+    // and others.
+    return Object.keys(relationshipSchema).reduce(( obj, key ) => {
+
+      if (
+        !isPublic(relationshipSchema[ key ], instance, options.context) ||
+        !isRequested(key, type, options)
+      ) {
+        return obj;
+      }
+
+      const relationship = buildRelationship(instance, key, linkConfig, options);
+
+      // A relationship object must contain at least one of "links", "data" and
+      // "meta". Without links, e.g. for an unsaved instance, a relationship
+      // that is not loaded has none of them so it is left out.
+      if ( Object.keys(relationship).length ) {
+        obj[ options.formatKey(key) ] = relationship;
+      }
+
+      return obj;
+    }, {});
+  }
+
+  // Get the "links" of the resource. By default this is a "self" link, if a
+  // link builder has been configured explicitly, and the links returned by the
+  // "resourceLinks" option. The member is left out of the resource object if
+  // this is empty.
+  resourceLinks( instance, options ) {
+
+    const linkConfig = resolveLinkConfig(
+      options.linkBuilder,
+      instance.constructor.linkBuilder
+    );
+    const params = linkParams(instance, options);
+    const selfLink = params.id && linkConfig && linkConfig.resourceLinks &&
+      buildLink(linkConfig, 'self', params);
+
+    return Object.assign(
+      selfLink ? { self: selfLink } : {},
+      options.resourceLinks && options.resourceLinks(instance)
+    );
+  }
+
+  // Get the "meta" of the resource. By default this is the object returned by
+  // the "resourceMeta" option, if any.
+  resourceMeta( instance, options ) {
+    return options.resourceMeta && options.resourceMeta(instance);
   }
+}
+
+export default new JsonApiSerializer();
+
+//
+// Utility functions
+//
+
+// The top-level members of Atomic Operations documents.
+const ATOMIC_OPERATIONS = 'atomic:operations';
+const ATOMIC_RESULTS = 'atomic:results';
+
+// The ways resource linkage can appear in a relationship object (see
+// "buildRelationship").
+const LINKAGE = [ 'always', 'whenLoaded', 'never' ];
+
+// The HTTP method that each atomic operation corresponds to.
+const OPERATION_METHODS = {
+  add: 'POST',
+  update: 'PATCH',
+  remove: 'DELETE',
+};
+
+// Build a JSON API resource object for a Kudu model instance as per
+// http://jsonapi.org/format/#document-resource-objects
+// The members are built by the hooks of the serializer for the instance (see
+// "JsonApiSerializer").
+function buildResource( instance, options ) {
+
+  const { requireId = true } = options;
+  const serializer = options.serializer.serializerFor(instance);
+  const identifier = identifyInstance(instance, options);
+
+  // A JSON API resource object must contain top-level "id" and "type"
+  // properties. We can infer the type from the name registered when the model
+  // constructor was created but "id" must be present on the instance itself.
+  // An instance that has not been saved yet is identified by a local
+  // identifier instead.
+  if ( requireId && identifier.id === undefined && !instance.hasOwnProperty('id') ) {
+    throw new Error('Expected an "id" property.');
+  }
+
+  const resource = {
+    type: identifier.type,
+  };
+
+  if ( identifier.id !== undefined ) {
+    resource.id = identifier.id;
+  } else {
+    resource.lid = identifier.lid;
+  }
+
+  resource.attributes = serializer.serializeAttributes(instance, options);
+
+  // We only add the "relationships" member if the instance has at least one
+  // relationship. The JSON API specification states that a relationship object
+  // must contain at least one of a set of members and must therefore not be
+  // empty. Resource-level "links" and "meta" are omitted in the same way.
+  const members = {
+    relationships: serializer.serializeRelationships(instance, options),
+    links: serializer.resourceLinks(instance, options),
+    meta: serializer.resourceMeta(instance, options),
+  };
+
+  Object.keys(members).forEach(( member ) => {
+
+    if ( members[ member ] && Object.keys(members[ member ]).length ) {
+      resource[ member ] = members[ member ];
+    }
+  });
+
+  activePlugins(options.serializer, options).forEach(( plugin ) => {
+
+    if ( plugin.resource ) {
+      addPluginMembers(resource, plugin, plugin.resource(instance, resource, options));
+    }
+  });
+
+  return resource;
+}
+
+// Get the "type" and either the "id" or, if the instance has not been saved,
+// the "lid" of a model instance, as an identifier object. The use of a "lid"
+// is recorded so the document can declare the version of JSON API it needs.
+function identifyInstance( instance, options ) {
+
+  const serializer = options.serializer.serializerFor(instance);
+  const type = serializer.resourceType(instance, options);
+  const id = serializer.resourceId(instance, options);
+
+  if ( id !== undefined && id !== null ) {
+    return { id: formatId(id, `a "${ type }" resource`), type };
+  }
+
+  options.localIds.used = true;
+
+  return { lid: localIdOf(instance, options.lids), type };
+}
+
+// Determine whether a field of a resource of the given type has been requested
+// by a sparse fieldset, as per
+// http://jsonapi.org/format/#fetching-sparse-fieldsets
+function isRequested( key, type, { fields, formatKey } ) {
+
+  const fieldset = fields && fields[ type ];
+
+  return !fieldset || fieldset.indexOf(formatKey(key)) > -1;
+}
+
+// Build a JSON API relationship object for a relationship of a Kudu model
+// instance as per
+// http://jsonapi.org/format/#document-resource-object-relationships
+//
+// The relationship schema controls the members of the relationship object. Its
+// "linkage" is one of:
+//
+//   - "whenLoaded" (the default): "data" is included if the relationship is
+//     set on the instance. A relationship set to null or an empty array is
+//     known to be empty and has "data" of null or an empty array.
+//   - "always": "data" is always included. A relationship that is not set is
+//     treated as empty.
+//   - "never": "data" is never included, only "links" and "meta".
+//
+// Its "meta" is an object or a function that is called with the model
+// instance and the request context and returns an object, e.g. the number of
+// related resources, { count: 42 }, without loading them.
+function buildRelationship( instance, key, linkConfig, options, linkage ) {
+
+  const { formatKey, formatType } = options;
+  const relationshipSchema = instance.constructor.schema.relationships;
+  const keySchema = relationshipSchema[ key ];
+  const relationship = Object.create(null);
+
+  linkage = linkage || keySchema.linkage || 'whenLoaded';
+
+  if ( LINKAGE.indexOf(linkage) === -1 ) {
+    throw new Error(`Unknown linkage "${ linkage }" for the "${ key }" relationship.`);
+  }
+
+  const params = Object.assign(
+    { relationship: formatKey(key) },
+    linkParams(instance, options)
+  );
+
+  // If the instance has an identifier we add "links" to the relationship
+  // object. This is a quick and naïve way of preventing the inclusion of
+  // "links" when serialzing a new instance before posting it to a server.
+  if ( params.id && linkConfig ) {
+
+    const links = {
+      self: buildLink(linkConfig, 'relationship', params),
+      related: buildLink(linkConfig, 'related', params),
+    };
+
+    Object.keys(links).forEach(( name ) => {
+
+      if ( links[ name ] ) {
+        relationship.links = relationship.links || {};
+        relationship.links[ name ] = links[ name ];
+      }
+    });
+  }
+
+  const nested = instance[ key ];
+
+  // If the value is an array of instances the data of the relationship object
+  // will be an array of resource identifiers. Otherwise it will be a single
+  // resource identifier. A model instance is identified by its primary key,
+  // or a local identifier if it has not been saved. If it's a string or a
+  // number we assume it represents the unique identifier of another document.
+  // Any other object must have an "id" property. The type of a model instance
+  // is that of its own model, which for a polymorphic relationship can differ
+  // from item to item (see "relatedTypeOf").
+  const identify = ( item ) => {
+
+    if ( isModelInstance(item) ) {
+      return identifyInstance(item, options);
+    }
+
+    return {
+      id: formatId(
+        item && typeof item === 'object' ? item.id : item,
+        `a related resource in the "${ key }" relationship`
+      ),
+      type: formatType(relatedTypeOf(keySchema, key, item, instance)),
+    };
+  };
+
+  if ( linkage === 'always' || ( linkage === 'whenLoaded' && nested !== undefined ) ) {
+
+    if ( Array.isArray(nested) ) {
+      relationship.data = nested.map(identify);
+    } else if ( nested !== undefined && nested !== null ) {
+      relationship.data = identify(nested);
+    } else {
+      relationship.data = keySchema.hasMany ? [] : null;
+    }
+  }
+
+  const meta = typeof keySchema.meta === 'function' ?
+    keySchema.meta(instance, options.context) :
+    keySchema.meta;
+
+  if ( meta ) {
+    relationship.meta = meta;
+  }
+
+  return relationship;
+}
+
+// Get the types of the resources a relationship can refer to. A polymorphic
+// relationship lists them in a "types" array rather than a single "type".
+function relatedTypes( keySchema ) {
+  return keySchema.types || [ keySchema.type ];
+}
+
+// Get the value that refers to a related resource identified in a document
+// but not deserialized. For a polymorphic relationship this is an object with
+// the "type", as named in the schema rather than formatted, and the "id", so
+// the resource can be told apart from those of other types. Otherwise it is
+// just the "id". The types are those the relationship allows, formatted.
+function relatedIdentifier( keySchema, types, identifier ) {
+
+  if ( !keySchema.types ) {
+    return identifier.id;
+  }
+
+  return {
+    type: keySchema.types[ types.indexOf(identifier.type) ],
+    id: identifier.id,
+  };
+}
+
+// Get the type of a related resource from its identifier. An identifier object
+// with one of the types the relationship allows keeps its type. Otherwise the
+// relationship schema may provide a "resolveType" function, which is called
+// with the identifier and the model instance that owns the relationship and
+// returns the type. This is required for bare identifiers in a polymorphic
+// relationship. Model instances are identified by "identifyInstance" instead.
+function relatedTypeOf( keySchema, key, item, instance ) {
+
+  if ( item && typeof item === 'object' && relatedTypes(keySchema).indexOf(item.type) > -1 ) {
+    return item.type;
+  }
+
+  if ( typeof keySchema.resolveType === 'function' ) {
+    return keySchema.resolveType(item, instance);
+  }
+
+  if ( !keySchema.type ) {
+    throw new Error(`Cannot determine the type of "${ item }" in the "${ key }" relationship.`);
+  }
+
+  return keySchema.type;
+}
+
+// Describe a list of resource types for an error message, e.g. "post" or
+// "photo".
+function describeTypes( types ) {
+  return types.map(( type ) => `"${ type }"`).join(' or ');
+}
+
+// Get the parameters used to build the links of a model instance.
+function linkParams( instance, options ) {
+
+  const identifier = identifyInstance(instance, options);
+
+  return {
+    type: identifier.type,
+    plural: instance.constructor.plural,
+    id: identifier.id,
+    instance,
+  };
+}
+
+// Create a collector that builds an array of resource objects representing
+// compound documents as per
+// http://jsonapi.org/format/#document-compound-documents
+//
+// The related model instances form a graph which we traverse depth-first from
+// the primary data, following both to-one and to-many relationships. Each
+// model instance is visited once so relationships that form a cycle (e.g. post
+// -> comments -> post) terminate.
+//
+// A resource can be represented by several model instances, for example when
+// the same author has been fetched for two posts. Resources are indexed by
+// type and identifier so that each appears only once, in linear time. The
+// members of every occurrence are merged into a single resource object (see
+// "mergeResource") so no populated relationship is lost. Resources in the
+// primary data, which are registered with "addPrimary" alongside the instances
+// they represent, are never included but are merged in the same way.
+//
+// If an include tree (see "buildIncludeTree") is provided only relationships
+// named in the tree are followed. Otherwise every nested instance is included.
+// Traversal stops once "maxDepth" relationships have been followed.
+function createCompoundCollector( options, includeTree, maxDepth = Infinity ) {
+
+  // Entries for each resource indexed by type and identifier. An entry holds
+  // the resource object and the model instances that it has been built from.
+  // The entries are also kept in order of discovery.
+  const index = new Map();
+  const entries = [];
+
+  // The keys of the resources of the primary data, which must not be included.
+  // Only the keys are kept so a streamed instance can be garbage collected once
+  // its resource has been written.
+  const primaryKeys = new Set();
+
+  // Related instances that have not been saved yet are included regardless of
+  // the "requireId" option, which only applies to the primary data. Their
+  // resource linkage refers to them by local identifier, which would not
+  // resolve otherwise.
+  const relatedOptions = Object.assign({}, options, { requireId: false });
+
+  // The include subtrees that each model instance has been traversed with,
+  // each mapped to the smallest depth it was reached at. An instance reached
+  // again along a different include path, or along a shorter one, may need to
+  // be traversed again, e.g. "author,comments.author.company".
+  const traversed = new WeakMap();
+
+  // Unsaved instances have no identifier so they are keyed by their local
+  // identifier instead.
+  const keyOf = ( item ) => {
+
+    const identifier = identifyInstance(item, options);
+
+    return resourceKey(identifier.type, identifier.id, identifier.lid);
+  };
+
+  const add = ( item, resource ) => {
+
+    const key = keyOf(item);
+    const entry = index.get(key);
+
+    if ( !entry ) {
+
+      const newEntry = {
+        key,
+        resource: resource || buildResource(item, relatedOptions),
+        instances: [ item ],
+      };
+
+      index.set(key, newEntry);
+      entries.push(newEntry);
+    } else {
+
+      if ( entry.instances.indexOf(item) === -1 ) {
+        entry.instances.push(item);
+        mergeResource(entry.resource, resource || buildResource(item, relatedOptions));
+      }
+    }
+  };
+
+  const traverse = ( instance, tree, depth ) => {
+
+    const depths = traversed.get(instance) || new Map();
+
+    if ( depths.has(tree) && depths.get(tree) <= depth ) {
+      return;
+    }
+
+    depths.set(tree, depth);
+    traversed.set(instance, depths);
+
+    if ( depth >= maxDepth ) {
+      return;
+    }
+
+    const relationshipSchema = instance.constructor.schema.relationships || {};
+
+    Object.keys(relationshipSchema).forEach(( relationship ) => {
+
+      // Include paths refer to relationships by their formatted names.
+      const subtree = tree && tree[ options.formatKey(relationship) ];
+
+      if ( tree && !subtree ) {
+        return;
+      }
+
+      // Resources related through a relationship that is not visible in this
+      // context, or without resource linkage, must not be exposed in
+      // "included" either.
+      if (
+        !isPublic(relationshipSchema[ relationship ], instance, options.context) ||
+        relationshipSchema[ relationship ].linkage === 'never'
+      ) {
+        return;
+      }
+
+      const nested = instance[ relationship ];
+      const items = ( Array.isArray(nested) ? nested : [ nested ] )
+        .filter(isModelInstance);
+
+      // We descend into all of the related instances before including them so
+      // the most deeply nested resources come first.
+      items.forEach(( item ) => traverse(item, subtree, depth + 1));
+      items.forEach(( item ) => add(item));
+    });
+  };
+
+  return {
+
+    // Register a model instance of the primary data and the resource object
+    // built from it. Related instances that are the same resource are merged
+    // into it. Without a resource, as when streaming, the instance is only
+    // left out of "included".
+    addPrimary( instance, resource ) {
+
+      primaryKeys.add(keyOf(instance));
+
+      if ( resource ) {
+        add(instance, resource);
+      }
+    },
+
+    // Collect the resources related to a model instance of the primary data.
+    traverse( instance ) {
+      traverse(instance, includeTree, 0);
+    },
+
+    // Get the collected resource objects. Any that turned out to be part of
+    // the primary data are left out.
+    included() {
+      return entries
+        .filter(( entry ) => !primaryKeys.has(entry.key))
+        .map(( entry ) => entry.resource);
+    },
+  };
+}
+
+// Merge a resource object into another that represents the same resource.
+// Members already present on the target take precedence so only information
+// missing from it, such as the linkage of a relationship that was not
+// populated on the model instance it was built from, is added.
+function mergeResource( target, source ) {
+
+  const attributes = source.attributes || {};
+  const relationships = source.relationships || {};
+
+  Object.keys(attributes).forEach(( key ) => {
+
+    if ( !target.attributes.hasOwnProperty(key) ) {
+      target.attributes[ key ] = attributes[ key ];
+    }
+  });
+
+  Object.keys(relationships).forEach(( key ) => {
+
+    const relationship = relationships[ key ];
+
+    target.relationships = target.relationships || {};
+
+    const existing = target.relationships[ key ];
+
+    if ( !existing ) {
+      target.relationships[ key ] = relationship;
+      return;
+    }
+
+    Object.keys(relationship).forEach(( member ) => {
+
+      if ( existing[ member ] === undefined ) {
+        existing[ member ] = relationship[ member ];
+      }
+    });
+  });
+
+  [ 'links', 'meta' ].forEach(( member ) => {
+
+    if ( target[ member ] === undefined && source[ member ] !== undefined ) {
+      target[ member ] = source[ member ];
+    }
+  });
+}
+
+// Resolve the options of "toJSON" that affect how each resource object is
+// built. Other options are kept as they are so they reach the hooks of the
+// serializer.
+function resolveResourceOptions( options, serializer ) {
+
+  const {
+    fields,
+    keyFormat,
+    typeFormat,
+    context,
+  } = options;
+
+  return Object.assign({}, options, {
+    fields: normalizeFields(fields),
+    formatKey: resolveFormat(keyFormat),
+    formatType: resolveFormat(typeFormat),
+
+    // A null context, e.g. for an anonymous request, is treated as an empty
+    // one rather than passed on to the visibility rules.
+    context: context || {},
+    serializer,
+
+    // The local identifiers generated for unsaved instances. Every reference
+    // to an instance within a document must use the same one.
+    lids: new WeakMap(),
+    localIds: { used: false },
+  });
+}
+
+// Build the "links", "meta" and "jsonapi" top-level members of a document from
+// the options of "toJSON", along with the members added by the profiles and
+// extensions of the serializer. Members that are not needed are omitted. The
+// resolved resource options tell whether the document uses local identifiers.
+function buildTopLevelMembers( options, serializer, resourceOptions ) {
+
+  const { page } = options;
+  const plugins = activePlugins(serializer, options);
+  const members = {};
+
+  // Local identifiers, profiles and extensions were all introduced by version
+  // 1.1 of the specification.
+  const version = plugins.length || resourceOptions.localIds.used ? '1.1' : '1.0';
+
+  let { meta, links, jsonapi } = options;
+
+  if ( page ) {
+
+    const pagination = paginate(page);
+
+    links = Object.assign(pagination.links, links);
+    meta = Object.assign(pagination.meta, meta);
+  }
+
+  if ( links ) {
+    members.links = links;
+  }
+
+  if ( meta ) {
+    members.meta = meta;
+  }
+
+  plugins.forEach(( plugin ) => {
+
+    if ( plugin.document ) {
+      addPluginMembers(members, plugin, plugin.document(options));
+    }
+  });
+
+  // The URIs of the profiles and extensions that apply are listed in the
+  // "jsonapi" member, which is added for them if necessary.
+  if ( plugins.length ) {
+
+    jsonapi = Object.assign({ version }, typeof jsonapi === 'object' ? jsonapi : {});
+
+    [ 'ext', 'profile' ].forEach(( kind ) => {
+
+      const uris = plugins
+        .filter(( plugin ) => plugin[ kind ])
+        .map(( plugin ) => plugin[ kind ]);
+
+      if ( uris.length ) {
+        jsonapi[ kind ] = ( jsonapi[ kind ] || [] ).concat(uris);
+      }
+    });
+  }
+
+  if ( jsonapi ) {
+    members.jsonapi = typeof jsonapi === 'object' ? jsonapi : { version };
+  }
+
+  return members;
+}
+
+// Get the profiles and extensions of a serializer that apply, given the "ext"
+// and "profile" options of a method (see "JsonApiSerializer#use").
+function activePlugins( serializer, { ext, profile } ) {
+
+  return serializer.plugins.filter(( plugin ) => {
+
+    if ( plugin.ext ) {
+      return !ext || ext.indexOf(plugin.ext) > -1;
+    }
+
+    return !profile || profile.indexOf(plugin.profile) > -1;
+  });
+}
+
+// Add the members returned by a hook of a profile or extension to a resource
+// object or document. Extension members are namespaced. Profile members are
+// added to "meta". Members with an undefined value are omitted.
+function addPluginMembers( target, plugin, members ) {
+
+  members = withoutUndefined(Object.assign({}, members));
+
+  if ( !Object.keys(members).length ) {
+    return;
+  }
+
+  if ( plugin.ext ) {
+    Object.keys(members).forEach(( key ) => {
+      target[ `${ plugin.namespace }:${ key }` ] = members[ key ];
+    });
+  } else {
+    target.meta = Object.assign({}, target.meta, members);
+  }
+}
+
+// Get the members of a resource object or document that belong to a profile or
+// extension, as the inverse of "addPluginMembers". Extension members are
+// returned without their namespace.
+function readPluginMembers( resource, plugin ) {
+
+  if ( !plugin.ext ) {
+    return Object.assign({}, resource.meta);
+  }
+
+  const prefix = `${ plugin.namespace }:`;
+
+  return Object.keys(resource).reduce(( obj, key ) => {
+
+    if ( key.indexOf(prefix) === 0 ) {
+      obj[ key.slice(prefix.length) ] = resource[ key ];
+    }
+
+    return obj;
+  }, {});
+}
+
+// Pass the top-level members of a deserialized document to the "readDocument"
+// hook of each plugin that applies.
+function readDocumentMembers( doc, result, state ) {
+  state.plugins.forEach(( plugin ) => {
+    if ( plugin.readDocument ) {
+      plugin.readDocument(readPluginMembers(doc, plugin), result, doc);
+    }
+  });
+}
+
+// Determine whether an object from a document has a member of its own. The
+// document may be client input that shadows "hasOwnProperty", or built by
+// "toJSON" with no prototype at all.
+function hasMember( obj, key ) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+// Determine whether a model instance or resource object has an identifier.
+function hasIdentifier( value ) {
+  return value.id !== undefined && value.id !== null;
+}
+
+// Determine whether a value is a Kudu model instance rather than, for example,
+// the identifier of a related resource.
+function isModelInstance( value ) {
+  return Boolean(
+    value &&
+    typeof value === 'object' &&
+    value.constructor &&
+    value.constructor.schema
+  );
+}
+
+// Determine whether a schema property or relationship is visible. The
+// "public" member of the schema may be a boolean, an array of roles that may
+// see the property or a function that is called with the model instance and
+// the request context and returns a boolean. Properties are public when the
+// member is not set.
+function isPublic( keySchema, instance, context ) {
+
+  const visibility = keySchema.public;
+
+  if ( visibility === undefined ) {
+    return true;
+  }
+
+  if ( typeof visibility === 'function' ) {
+    return Boolean(visibility(instance, context));
+  }
+
+  if ( Array.isArray(visibility) ) {
+
+    const roles = context.roles || ( context.role ? [ context.role ] : [] );
+    return roles.some(( role ) => visibility.indexOf(role) > -1);
+  }
+
+  return visibility === true;
+}
+
+// Build a Kudu model instance from a JSON API resource object. This is the
+// inverse of "buildResource".
+function buildInstance( resource, state, path ) {
+
+  // A JSON API resource object must contain a top-level "type" property. We
+  // use it to look up the model constructor registered with the Kudu app. A
+  // type the server does not support is a conflict as per
+  // http://jsonapi.org/format/#crud-creating-responses-409
+  if ( !resource || typeof resource.type !== 'string' ) {
+    state.errors.push(createError(
+      'A resource object must contain a "type" member.',
+      { pointer: pointer(...path) }
+    ));
+    return undefined;
+  }
+
+  const Model = getModelForType(resource.type, state);
+
+  if ( !Model ) {
+    state.errors.push(createError(
+      `The resource type "${ resource.type }" is not supported.`,
+      { pointer: pointer(...path, 'type') },
+      409
+    ));
+    return undefined;
+  }
+
+  const hasId = hasIdentifier(resource);
+  const hasLid = !hasId && resource.lid !== undefined && resource.lid !== null;
+  const key = resourceKey(resource.type, resource.id, resource.lid);
+  const instances = state.instances;
+
+  if ( ( hasId || hasLid ) && instances[ key ] ) {
+    return instances[ key ];
+  }
+
+  if ( hasId && state.method === 'POST' && path[ 0 ] !== 'included' ) {
+    checkClientId(resource.id, state, path);
+  }
+
+  // Only properties present in the model schema are copied onto the instance.
+  // This mirrors "buildResource" which never serializes non-schema properties.
+  // Member names in the document may have been formatted so we map them back
+  // to schema property names.
+  const schema = Model.schema.properties || {};
+  const attributeNames = buildNameMap(Object.keys(schema), state.formatKey);
+  const attributes = resource.attributes || {};
+  const instance = new Model(Object.keys(attributes).reduce(( obj, member ) => {
+
+    const name = attributeNames[ member ];
+
+    // Computed properties are derived on the server so any value provided by
+    // the client is ignored.
+    if (
+      name &&
+      !schema[ name ].computed &&
+      isWritable(schema[ name ], state, [ ...path, 'attributes', member ])
+    ) {
+      obj[ name ] = transformValue(
+        schema[ name ],
+        'deserialize',
+        attributes[ member ],
+        resource
+      );
+    }
+
+    return obj;
+  }, {}));
+
+  if ( hasId ) {
+    setInstanceId(instance, resource.id);
+    instances[ key ] = instance;
+  } else if ( hasLid ) {
+    instance.lid = resource.lid;
+    instances[ key ] = instance;
+  }
+
+  const relationshipSchema = Model.schema.relationships || {};
+  const relationshipNames = buildNameMap(
+    Object.keys(relationshipSchema),
+    state.formatKey
+  );
+  const relationships = resource.relationships || {};
+
+  Object.keys(relationships).forEach(( member ) => {
+
+    const name = relationshipNames[ member ];
+    const linkage = relationships[ member ].data;
+
+    // A relationship object without a "data" member (for example one that
+    // only contains "links") tells us nothing about the related resources so
+    // we leave the property alone.
+    if (
+      !name ||
+      linkage === undefined ||
+      !isWritable(relationshipSchema[ name ], state, [ ...path, 'relationships', member ])
+    ) {
+      return;
+    }
+
+    // If the linkage refers to a resource that is present in the "included"
+    // member of the document we deserialize that resource too. Otherwise we
+    // only know the identifier of the related resource. A local identifier
+    // must refer to a resource in the document since there is nothing else it
+    // could identify. The type of the related resource must be one that the
+    // relationship allows.
+    const types = relatedTypes(relationshipSchema[ name ]).map(state.formatType);
+    const resolve = ( identifier, linkagePath ) => {
+
+      if ( types.indexOf(identifier.type) === -1 ) {
+        state.errors.push(createError(
+          `Expected a resource of type ${ describeTypes(types) }.`,
+          { pointer: pointer(...linkagePath, 'type') },
+          409
+        ));
+        return undefined;
+      }
+
+      const related = state.included[
+        resourceKey(identifier.type, identifier.id, identifier.lid)
+      ];
+
+      if ( related ) {
+        return buildInstance(related.resource, state, related.path);
+      }
+
+      if ( !hasIdentifier(identifier) && identifier.lid !== undefined ) {
+
+        const local = state.locals &&
+          state.locals[ resourceKey(identifier.type, undefined, identifier.lid) ];
+
+        if ( local ) {
+          return local;
+        }
+
+        state.errors.push(unknownLocalIdError(identifier.lid, linkagePath));
+      }
+
+      return relatedIdentifier(relationshipSchema[ name ], types, identifier);
+    };
+    const linkagePath = [ ...path, 'relationships', member, 'data' ];
+
+    if ( linkage === null ) {
+      instance[ name ] = null;
+    } else if ( Array.isArray(linkage) ) {
+      instance[ name ] = linkage.map(( identifier, i ) =>
+        resolve(identifier, [ ...linkagePath, i ])
+      );
+    } else {
+      instance[ name ] = resolve(linkage, linkagePath);
+    }
+  });
+
+  state.plugins.forEach(( plugin ) => {
+
+    if ( plugin.readResource ) {
+      plugin.readResource(readPluginMembers(resource, plugin), instance, resource);
+    }
+  });
+
+  return instance;
+}
+
+// Read an operation of an Atomic Operations document (see
+// "operationsFromJSON"). Problems are recorded in the state with pointers
+// relative to "path", the location of the operation in the document.
+function readOperation( operation, path, base, { protect, linkConfig } ) {
+
+  const fail = ( detail, tokens = [], status ) => {
+    base.errors.push(createError(detail, { pointer: pointer(...path, ...tokens) }, status));
+    return null;
+  };
+
+  if ( !operation || typeof operation !== 'object' ) {
+    return fail('An operation must be an object.');
+  }
+
+  const method = OPERATION_METHODS[ operation.op ];
+
+  if ( !method ) {
+    return fail('The "op" member must be one of "add", "update" or "remove".', [ 'op' ]);
+  }
+
+  // Each operation is deserialized like a request of its own. Only resources
+  // added by earlier operations are shared.
+  const state = Object.assign({}, base, {
+    instances: Object.create(null),
+    method,
+    protect: typeof protect === 'object' ? protect[ method ] || 'reject' : protect,
+  });
+  const target = readOperationTarget(operation, path, state, linkConfig);
+
+  if ( target === null ) {
+    return null;
+  }
+
+  const result = Object.assign({ op: operation.op }, target);
+
+  if ( operation.meta !== undefined ) {
+    result.meta = operation.meta;
+  }
+
+  // Operations on a relationship work like requests to its relationship URL.
+  if ( target && target.relationship ) {
+
+    if ( !target.id && !target.lid ) {
+      return fail(
+        'The target of an operation on a relationship must be a resource.',
+        [ 'href' ]
+      );
+    }
+
+    if ( !hasMember(operation, 'data') ) {
+      return fail('An operation on a relationship must contain a "data" member.');
+    }
+
+    const keySchema = target.Model.schema.relationships[ target.relationship ];
+
+    result.data = readRelationshipLinkage(operation.data, target.relationship, keySchema, {
+      method,
+      types: relatedTypes(keySchema).map(state.formatType),
+      path: [ ...path, 'data' ],
+      errors: state.errors,
+      locals: state.locals,
+    });
+
+    return result;
+  }
+
+  if ( operation.op === 'remove' ) {
+    return target ?
+      result :
+      fail('A "remove" operation must contain a "ref" or "href" member.');
+  }
+
+  if ( operation.op === 'add' && target && ( target.id || target.lid ) ) {
+    return fail(
+      'An "add" operation must not target an existing resource.',
+      [ operation.ref ? 'ref' : 'href' ]
+    );
+  }
+
+  const data = operation.data;
+
+  if ( !data || typeof data !== 'object' || Array.isArray(data) ) {
+    return fail('Expected a resource object.', [ 'data' ]);
+  }
+
+  const Model = typeof data.type === 'string' && getModelForType(data.type, state);
+
+  if ( !Model ) {
+    return fail('The "type" member must name a registered model.', [ 'data', 'type' ]);
+  }
+
+  // The target of an "update" operation is optional but, if present, must
+  // match the resource being updated.
+  if (
+    target &&
+    (
+      target.Model !== Model ||
+      ( operation.op === 'update' && ( target.id !== data.id || target.lid !== data.lid ) )
+    )
+  ) {
+    return fail('The target of the operation does not match its "data".', [ 'data' ], 409);
+  }
+
+  if ( operation.op === 'update' && !hasIdentifier(data) && data.lid === undefined ) {
+    return fail(
+      'An "update" operation must identify the resource by "id" or "lid".',
+      [ 'data' ]
+    );
+  }
+
+  const instance = buildInstance(data, state, [ ...path, 'data' ]);
+
+  if ( operation.op === 'add' && typeof data.lid === 'string' ) {
+    base.locals[ resourceKey(data.type, undefined, data.lid) ] = instance;
+  }
+
+  return Object.assign(result, withoutUndefined({
+    Model,
+    id: data.id,
+    lid: data.lid,
+    instance,
+  }));
+}
+
+// Read the target of an Atomic Operations operation from its "ref" or "href"
+// member. Returns undefined if there is neither and null if the target is not
+// valid.
+function readOperationTarget( operation, path, state, linkConfig ) {
+
+  const { ref, href } = operation;
+  const fail = ( detail, tokens = [] ) => {
+    state.errors.push(createError(detail, { pointer: pointer(...path, ...tokens) }));
+    return null;
+  };
+
+  let target;
+  let relationship;
+
+  if ( ref !== undefined && href !== undefined ) {
+    return fail('The "ref" and "href" members must not coexist.');
+  }
+
+  if ( ref !== undefined ) {
+
+    if (
+      !ref ||
+      typeof ref !== 'object' ||
+      typeof ref.type !== 'string' ||
+      ( typeof ref.id !== 'string' && typeof ref.lid !== 'string' )
+    ) {
+      return fail(
+        'The "ref" member must contain "type" and "id" or "lid" members.',
+        [ 'ref' ]
+      );
+    }
+
+    target = { Model: getModelForType(ref.type, state), id: ref.id, lid: ref.lid };
+    relationship = ref.relationship;
+
+    if ( !target.Model ) {
+      return fail('The "type" member must name a registered model.', [ 'ref', 'type' ]);
+    }
+
+    if ( target.id === undefined ) {
+
+      const local = state.locals[ resourceKey(ref.type, undefined, ref.lid) ];
+
+      if ( !local ) {
+        state.errors.push(unknownLocalIdError(ref.lid, [ ...path, 'ref' ]));
+        return null;
+      }
+
+      target.instance = local;
+    }
+  } else if ( href !== undefined ) {
+
+    const link = typeof href === 'string' && linkConfig && parseLink(linkConfig, href);
+    const params = link ? link.params : {};
+    const Model = params.type ?
+      getModelForType(params.type, state) :
+      params.plural && state.app.getModelByPluralName(params.plural);
+
+    if ( !Model ) {
+      return fail(
+        'The "href" member must be the URL of a resource or relationship.',
+        [ 'href' ]
+      );
+    }
+
+    target = { Model, id: params.id };
+    relationship = params.relationship;
+  } else {
+    return undefined;
+  }
+
+  if ( relationship !== undefined ) {
+
+    const relationshipSchema = target.Model.schema.relationships || {};
+
+    target.relationship = buildNameMap(
+      Object.keys(relationshipSchema),
+      state.formatKey
+    )[ relationship ];
+
+    if ( !target.relationship ) {
+      return fail(
+        `No relationship named "${ relationship }".`,
+        ref !== undefined ? [ 'ref', 'relationship' ] : [ 'href' ]
+      );
+    }
+  }
+
+  return withoutUndefined(target);
+}
+
+// Read the resource linkage sent to update a relationship with a particular
+// method, as per http://jsonapi.org/format/#crud-updating-relationships
+// Returns the identifiers of the related resources. Problems are recorded in
+// "errors" with pointers relative to "path", the location of the linkage in
+// the document. Linkage may only refer to a resource by "lid" if a "locals"
+// map of the resources added by earlier atomic operations is given.
+function readRelationshipLinkage( data, key, keySchema, {
+  method,
+  types,
+  path,
+  errors,
+  locals,
+} ) {
+
+  // Relationship URLs always update an existing resource so relationships
+  // that are read-only or can only be set on creation cannot be changed.
+  if ( keySchema.readOnly || keySchema.writable === false || keySchema.createOnly ) {
+    errors.push(createError(
+      `The "${ key }" relationship cannot be updated.`,
+      { pointer: pointer(...path) },
+      403
+    ));
+    return undefined;
+  }
+
+  // To-one relationships can only be replaced. Members can only be added to
+  // or removed from to-many relationships.
+  if ( !keySchema.hasMany && method !== 'PATCH' ) {
+    errors.push(createError(
+      `The "${ key }" relationship is to-one and can only be replaced.`,
+      { pointer: pointer(...path) },
+      403
+    ));
+    return undefined;
+  }
+
+  const identify = ( identifier, identifierPath ) => {
+
+    const isLocal = Boolean(
+      locals &&
+      identifier &&
+      typeof identifier === 'object' &&
+      identifier.id === undefined &&
+      typeof identifier.lid === 'string'
+    );
+
+    if (
+      !identifier ||
+      typeof identifier !== 'object' ||
+      ( typeof identifier.id !== 'string' && !isLocal )
+    ) {
+      errors.push(createError(
+        'Expected a resource identifier object.',
+        { pointer: pointer(...identifierPath) }
+      ));
+    } else if ( types.indexOf(identifier.type) === -1 ) {
+
+      // A resource of the wrong type is a conflict as per
+      // http://jsonapi.org/format/#crud-updating-relationship-responses-409
+      errors.push(createError(
+        `Expected a resource of type ${ describeTypes(types) }.`,
+        { pointer: pointer(...identifierPath, 'type') },
+        409
+      ));
+    } else if ( isLocal ) {
+
+      const local = locals[ resourceKey(identifier.type, undefined, identifier.lid) ];
+
+      if ( !local ) {
+        errors.push(unknownLocalIdError(identifier.lid, identifierPath));
+      }
+
+      return local;
+    }
+
+    return identifier && relatedIdentifier(keySchema, types, identifier);
+  };
+
+  if ( keySchema.hasMany ) {
+
+    if ( !Array.isArray(data) ) {
+      errors.push(createError(
+        `The "${ key }" relationship is to-many so "data" must be an array.`,
+        { pointer: pointer(...path) }
+      ));
+      return undefined;
+    }
+
+    return data.map(( identifier, i ) => identify(identifier, [ ...path, i ]));
+  }
+
+  return data === null ? null : identify(data, path);
+}
+
+// Remove the properties of an object that are not set, so the operations
+// returned by "operationsFromJSON" are easy to inspect.
+function withoutUndefined( obj ) {
+
+  Object.keys(obj).forEach(( key ) => {
+
+    if ( obj[ key ] === undefined ) {
+      delete obj[ key ];
+    }
+  });
+
+  return obj;
+}
+
+// Build the error for resource linkage that refers to a resource by a local
+// identifier that is not defined.
+function unknownLocalIdError( lid, path ) {
+  return createError(
+    `The local identifier "${ lid }" does not refer to any resource.`,
+    { pointer: pointer(...path, 'lid') }
+  );
+}
+
+// Determine whether a client-generated identifier of a new resource is
+// acceptable. If not, an error pointing at the "id" member is recorded.
+function checkClientId( id, state, path ) {
+
+  if ( state.clientIds === false ) {
+    state.errors.push(createError(
+      'Client-generated identifiers are not supported.',
+      { pointer: pointer(...path, 'id') },
+      403
+    ));
+  } else if ( state.clientIds === 'uuid' && !isUuid(id) ) {
+    state.errors.push(createError(
+      'A client-generated identifier must be a UUID.',
+      { pointer: pointer(...path, 'id') }
+    ));
+  }
+}
+
+// Determine whether a client may write a schema property or relationship when
+// deserializing a document with a particular method. If not, and protected
+// members are to be rejected rather than stripped, an error pointing at the
+// member is recorded.
+function isWritable( keySchema, state, path ) {
+
+  let reason;
+
+  // Documents that are not part of a request, e.g. those built by "toJSON",
+  // may contain any member.
+  if ( !state.method ) {
+    return true;
+  }
+
+  if ( keySchema.readOnly || keySchema.writable === false ) {
+    reason = 'is read-only';
+  } else if ( keySchema.createOnly && state.method !== 'POST' ) {
+    reason = 'can only be set when the resource is created';
+  }
+
+  if ( !reason ) {
+    return true;
+  }
+
+  if ( state.protect !== 'strip' ) {
+    state.errors.push(createError(
+      `"${ path[ path.length - 1 ] }" ${ reason }.`,
+      { pointer: pointer(...path) },
+      403
+    ));
+  }
+
+  return false;
+}
+
+// Normalize a map of sparse fieldsets so that each value is an array of field
+// names. Values may be provided as arrays or as comma-separated strings, the
+// latter being the format used in the "fields" query parameter.
+function normalizeFields( fields ) {
+
+  if ( !fields ) {
+    return undefined;
+  }
+
+  return Object.keys(fields).reduce(( obj, type ) => {
+
+    const fieldset = fields[ type ];
+
+    obj[ type ] = Array.isArray(fieldset) ?
+      fieldset :
+      String(fieldset).split(',').filter(( field ) => field);
+
+    return obj;
+  }, Object.create(null));
+}
+
+// Build a tree from a list of dot-separated relationship paths. For example
+// "author,comments.author" becomes { author: {}, comments: { author: {} } }.
+// Every intermediate relationship on a path is part of the tree because the
+// specification requires intermediate resources to be included too.
+function buildIncludeTree( include ) {
+
+  if ( include === undefined || include === null ) {
+    return undefined;
+  }
+
+  const paths = Array.isArray(include) ? include : String(include).split(',');
+
+  return paths.reduce(( tree, path ) => {
+
+    path.split('.').filter(( key ) => key).reduce(( node, key ) => {
+
+      node[ key ] = node[ key ] || Object.create(null);
+      return node[ key ];
+    }, tree);
 
-  return flat;
+    return tree;
+  }, Object.create(null));
 }
@@ -0,0 +1,179 @@
+import { Readable } from 'stream';
+
+// Create a Readable stream of a JSON document whose "data" member is an array
+// built from a sequence of values. Each value is serialized as soon as it is
+// read from the source so the whole sequence is never held in memory.
+//
+// Arguments:
+//   source       {Array|Object}    An array, an iterator, an iterable, an
+//                                  async iterator, an async iterable or a Node
+//                                  Readable stream in object mode.
+//   handlers     {Object}          An object with the following functions.
+//
+// Handlers:
+//   serialize    {Function}   Called with each value of the source. Must
+//                             return the value serialized as a JSON string.
+//   finish       {Function}   Called once the source is exhausted. Must return
+//                             an object of further members to add to the
+//                             top level of the document.
+//
+// If the source or a handler fails the stream is destroyed with the error.
+export default function createDocumentStream( source, { serialize, finish } ) {
+
+  const iterator = getIterator(source);
+  let count = 0;
+  let started = false;
+  let active = false;
+  let finished = false;
+
+  const stream = new Readable({
+
+    read() {
+
+      if ( !active ) {
+        active = true;
+        pump();
+      }
+    },
+
+    destroy( err, callback ) {
+
+      // Give the source a chance to clean up, e.g. to close a database cursor,
+      // if the consumer stops reading early.
+      if ( !finished && typeof iterator.return === 'function' ) {
+
+        try {
+
+          const result = iterator.return();
+
+          if ( result && typeof result.then === 'function' ) {
+            result.then(null, () => {});
+          }
+        } catch ( returnErr ) {
+          err = err || returnErr;
+        }
+      }
+
+      callback(err);
+    },
+  });
+
+  // Read values from the source and push them to the stream until the stream
+  // asks us to stop, the source is exhausted or we have to wait for an async
+  // source. A loop rather than recursion is used for synchronous sources so
+  // large arrays do not exhaust the stack.
+  function pump() {
+
+    if ( !started ) {
+
+      started = true;
+
+      if ( !stream.push('{"data":[') ) {
+        active = false;
+        return;
+      }
+    }
+
+    for ( ;; ) {
+
+      let result;
+
+      try {
+        result = iterator.next();
+      } catch ( err ) {
+        stream.destroy(err);
+        return;
+      }
+
+      if ( result && typeof result.then === 'function' ) {
+
+        result.then(( asyncResult ) => {
+
+          if ( handle(asyncResult) ) {
+            pump();
+          }
+        }, ( err ) => stream.destroy(err));
+
+        return;
+      }
+
+      if ( !handle(result) ) {
+        return;
+      }
+    }
+  }
+
+  // Handle a single iterator result. Returns true if we should continue to
+  // read from the source.
+  function handle( result ) {
+
+    if ( result.done ) {
+      end();
+      return false;
+    }
+
+    let chunk;
+
+    try {
+      chunk = serialize(result.value);
+    } catch ( err ) {
+      stream.destroy(err);
+      return false;
+    }
+
+    const more = stream.push(`${ count++ ? ',' : '' }${ chunk }`);
+
+    if ( !more ) {
+      active = false;
+    }
+
+    return more;
+  }
+
+  function end() {
+
+    let members;
+
+    finished = true;
+
+    try {
+      members = finish();
+    } catch ( err ) {
+      stream.destroy(err);
+      return;
+    }
+
+    stream.push(Object.keys(members).reduce(( json, key ) =>
+      `${ json },${ JSON.stringify(key) }:${ JSON.stringify(members[ key ]) }`,
+      ']'
+    ));
+    stream.push('}');
+    stream.push(null);
+  }
+
+  return stream;
+}
+
+//
+// Utility functions
+//
+
+// Get an iterator, which may be async, for a source of values. Node Readable
+// streams are async iterable.
+function getIterator( source ) {
+
+  if ( source && typeof Symbol.asyncIterator === 'symbol' &&
+    typeof source[ Symbol.asyncIterator ] === 'function' ) {
+    return source[ Symbol.asyncIterator ]();
+  }
+
+  if ( source && typeof source[ Symbol.iterator ] === 'function' ) {
+    return source[ Symbol.iterator ]();
+  }
+
+  if ( source && typeof source.next === 'function' ) {
+    return source;
+  }
+
+  throw new Error('Expected an array, an iterator or a readable stream.');
+}
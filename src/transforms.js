@@ -0,0 +1,83 @@
+// Built-in attribute transforms. Each has a "serialize" function, applied to a
+// property value when it is written to a resource object, and a "deserialize"
+// function, applied to an attribute value when it is read from a resource
+// object. Null and undefined values are never transformed by a built-in.
+const TRANSFORMS = {
+
+  // Dates are represented by ISO 8601 strings.
+  'date-iso': {
+    serialize: ( value ) =>
+      value instanceof Date ? value.toISOString() : value,
+    deserialize: ( value ) => {
+
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? value : date;
+    },
+  },
+
+  // Numbers are represented by strings, e.g. to preserve the precision of
+  // monetary amounts in clients that parse JSON numbers as floats.
+  'number-string': {
+    serialize: ( value ) => typeof value === 'number' ? String(value) : value,
+    deserialize: ( value ) => {
+
+      const number = Number(value);
+      return typeof value === 'string' && value.trim() && !isNaN(number) ?
+        number :
+        value;
+    },
+  },
+};
+
+// The built-in transforms used by default for schema properties of a given
+// type, when the property does not declare a transform of its own.
+const DEFAULTS = [
+  [ Date, 'date-iso' ],
+];
+
+// Get the function that transforms a schema property value in a direction.
+//
+// Arguments:
+//   keySchema    {Object}    The schema of the property.
+//   direction    {String}    Either "serialize" or "deserialize".
+//
+// A schema property can declare "serialize" and "deserialize" members, each of
+// which is either a function or the name of a built-in transform, or a
+// "transform" member naming a built-in transform to use in both directions.
+// Otherwise the default transform for the "type" of the property applies, if
+// there is one. Returns undefined if the value is to be used as-is.
+//
+// Custom functions are called with the value and the model instance (when
+// serializing) or the resource object (when deserializing). The value is
+// undefined when serializing a "computed" property.
+export function getTransform( keySchema, direction ) {
+
+  let transform = keySchema[ direction ] || keySchema.transform;
+
+  if ( transform === undefined ) {
+
+    const match = DEFAULTS.find(( [ type ] ) => keySchema.type === type);
+    transform = match && match[ 1 ];
+  }
+
+  if ( !transform || typeof transform === 'function' ) {
+    return transform || undefined;
+  }
+
+  if ( !TRANSFORMS[ transform ] ) {
+    throw new Error(`Unknown attribute transform "${ transform }".`);
+  }
+
+  const builtIn = TRANSFORMS[ transform ][ direction ];
+
+  return ( value ) =>
+    value === null || value === undefined ? value : builtIn(value);
+}
+
+// Transform a schema property value in a direction. See "getTransform".
+export function transformValue( keySchema, direction, value, context ) {
+
+  const transform = getTransform(keySchema, direction);
+
+  return transform ? transform(value, context) : value;
+}
@@ -0,0 +1,396 @@
+import { createError, pointer } from './errors';
+import { resourceKey } from './ids';
+
+// Members of a resource object that may not be used as the name of an
+// attribute or relationship as per
+// http://jsonapi.org/format/#document-resource-object-fields
+const RESERVED_FIELDS = [ 'id', 'type', 'relationships', 'links' ];
+
+// Validate the structure of a JSON API document against the specification.
+// The document is not deserialized. This function is intended to be run before
+// "fromJSON" so a malformed request body can be rejected with a useful
+// response.
+//
+// Arguments:
+//   doc          {Object}          A parsed JSON API document.
+//   options      {Object}          A configuration object. See below.
+//
+// Options:
+//   requireId    {Boolean}    If set, resource objects in the primary data
+//                             must have an "id" member. This is almost always
+//                             the case, except when the document represents a
+//                             new resource created on the client.
+//
+// Resources that have not been saved yet may be identified by a local
+// identifier ("lid") instead of an "id", both in resource objects and in
+// resource linkage, as per JSON API 1.1. Included resources must have one or
+// the other.
+//
+// Returns an array of Error instances. Each has a "status" of 400 and a
+// "source.pointer" referring to the offending member of the document, so the
+// array can be passed directly to "errorsToJSON". The array is empty when the
+// document is valid.
+export default function validate( doc, {
+  requireId = true,
+} = {} ) {
+
+  const errors = [];
+
+  if ( !isObject(doc) ) {
+    errors.push(buildError('A JSON API document must be an object.', ''));
+    return errors;
+  }
+
+  // A document must contain at least one of "data", "errors" and "meta". The
+  // "data" and "errors" members must never coexist. The "meta" member is
+  // allowed alongside either of them, for example to hold pagination details.
+  const hasData = hasMember(doc, 'data');
+  const hasErrors = hasMember(doc, 'errors');
+
+  if ( !hasData && !hasErrors && !hasMember(doc, 'meta') ) {
+    errors.push(buildError(
+      'A JSON API document must contain at least one of "data", "errors" or ' +
+      '"meta".',
+      ''
+    ));
+  }
+
+  if ( hasData && hasErrors ) {
+    errors.push(buildError(
+      'The "data" and "errors" members must not coexist in a document.',
+      ''
+    ));
+  }
+
+  if ( hasMember(doc, 'included') && !hasData ) {
+    errors.push(buildError(
+      'The "included" member must not be present without "data".',
+      '/included'
+    ));
+  }
+
+  if ( hasMember(doc, 'meta') && !isObject(doc.meta) ) {
+    errors.push(buildError('The "meta" member must be an object.', '/meta'));
+  }
+
+  if ( hasErrors ) {
+
+    if ( !Array.isArray(doc.errors) ) {
+      errors.push(buildError('The "errors" member must be an array.', '/errors'));
+    } else {
+
+      doc.errors.forEach(( error, i ) => {
+
+        if ( !isObject(error) ) {
+          errors.push(buildError(
+            'An error object must be an object.',
+            pointer('errors', i)
+          ));
+        }
+      });
+    }
+  }
+
+  if ( hasData ) {
+
+    // Primary data must be either null, a single resource object or an array
+    // of resource objects.
+    if ( Array.isArray(doc.data) ) {
+      doc.data.forEach(( resource, i ) =>
+        validateResource(resource, [ 'data', i ], requireId, errors)
+      );
+    } else if ( doc.data !== null ) {
+      validateResource(doc.data, [ 'data' ], requireId, errors);
+    }
+  }
+
+  if ( hasMember(doc, 'included') ) {
+
+    if ( !Array.isArray(doc.included) ) {
+      errors.push(buildError(
+        'The "included" member must be an array.',
+        '/included'
+      ));
+    } else {
+
+      doc.included.forEach(( resource, i ) =>
+        validateResource(resource, [ 'included', i ], true, errors)
+      );
+
+      validateFullLinkage(doc, errors);
+    }
+  }
+
+  return errors;
+}
+
+//
+// Utility functions
+//
+
+// Validate a resource object as per
+// http://jsonapi.org/format/#document-resource-objects
+function validateResource( resource, path, requireId, errors ) {
+
+  if ( !isObject(resource) ) {
+    errors.push(buildError('A resource object must be an object.', pointer(...path)));
+    return;
+  }
+
+  if ( typeof resource.type !== 'string' ) {
+    errors.push(buildError(
+      'A resource object must contain a "type" member.',
+      pointer(...path, 'type')
+    ));
+  }
+
+  if ( hasMember(resource, 'id') ) {
+
+    if ( typeof resource.id !== 'string' ) {
+      errors.push(buildError(
+        'The "id" member of a resource object must be a string.',
+        pointer(...path, 'id')
+      ));
+    }
+  } else if ( requireId && !hasMember(resource, 'lid') ) {
+    errors.push(buildError(
+      'A resource object must contain an "id" member.',
+      pointer(...path)
+    ));
+  }
+
+  if ( hasMember(resource, 'lid') && typeof resource.lid !== 'string' ) {
+    errors.push(buildError(
+      'The "lid" member of a resource object must be a string.',
+      pointer(...path, 'lid')
+    ));
+  }
+
+  const attributes = resource.attributes;
+
+  if ( hasMember(resource, 'attributes') ) {
+
+    if ( !isObject(attributes) ) {
+      errors.push(buildError(
+        'The "attributes" member must be an object.',
+        pointer(...path, 'attributes')
+      ));
+    } else {
+
+      Object.keys(attributes).forEach(( key ) => {
+
+        if ( RESERVED_FIELDS.indexOf(key) > -1 ) {
+          errors.push(buildError(
+            `"${ key }" is reserved and cannot be used as an attribute name.`,
+            pointer(...path, 'attributes', key)
+          ));
+        }
+      });
+    }
+  }
+
+  if ( hasMember(resource, 'relationships') ) {
+
+    const relationships = resource.relationships;
+
+    if ( !isObject(relationships) ) {
+      errors.push(buildError(
+        'The "relationships" member must be an object.',
+        pointer(...path, 'relationships')
+      ));
+      return;
+    }
+
+    Object.keys(relationships).forEach(( key ) => {
+
+      const relPath = [ ...path, 'relationships', key ];
+
+      if ( RESERVED_FIELDS.indexOf(key) > -1 ) {
+        errors.push(buildError(
+          `"${ key }" is reserved and cannot be used as a relationship name.`,
+          pointer(...relPath)
+        ));
+      }
+
+      // Attributes and relationships share a namespace so a resource object
+      // cannot have both with the same name.
+      if ( isObject(attributes) && hasMember(attributes, key) ) {
+        errors.push(buildError(
+          `"${ key }" cannot be both an attribute and a relationship.`,
+          pointer(...relPath)
+        ));
+      }
+
+      validateRelationship(relationships[ key ], relPath, errors);
+    });
+  }
+}
+
+// Validate a relationship object as per
+// http://jsonapi.org/format/#document-resource-object-relationships
+function validateRelationship( relationship, path, errors ) {
+
+  if ( !isObject(relationship) ) {
+    errors.push(buildError('A relationship object must be an object.', pointer(...path)));
+    return;
+  }
+
+  if (
+    !hasMember(relationship, 'links') &&
+    !hasMember(relationship, 'data') &&
+    !hasMember(relationship, 'meta')
+  ) {
+    errors.push(buildError(
+      'A relationship object must contain at least one of "links", "data" ' +
+      'or "meta".',
+      pointer(...path)
+    ));
+  }
+
+  if ( !hasMember(relationship, 'data') ) {
+    return;
+  }
+
+  // Resource linkage must be null, an empty array, a single resource
+  // identifier object or an array of resource identifier objects.
+  const data = relationship.data;
+
+  if ( Array.isArray(data) ) {
+    data.forEach(( identifier, i ) =>
+      validateIdentifier(identifier, [ ...path, 'data', i ], errors)
+    );
+  } else if ( data !== null ) {
+    validateIdentifier(data, [ ...path, 'data' ], errors);
+  }
+}
+
+// Validate a resource identifier object as per
+// http://jsonapi.org/format/#document-resource-identifier-objects
+function validateIdentifier( identifier, path, errors ) {
+
+  if ( !isObject(identifier) ) {
+    errors.push(buildError(
+      'Resource linkage must be null, a resource identifier object or an ' +
+      'array of resource identifier objects.',
+      pointer(...path)
+    ));
+    return;
+  }
+
+  if ( typeof identifier.type !== 'string' ) {
+    errors.push(buildError(
+      'A resource identifier object must contain a "type" member.',
+      pointer(...path, 'type')
+    ));
+  }
+
+  if ( hasMember(identifier, 'lid') && !hasMember(identifier, 'id') ) {
+
+    if ( typeof identifier.lid !== 'string' ) {
+      errors.push(buildError(
+        'The "lid" member of a resource identifier object must be a string.',
+        pointer(...path, 'lid')
+      ));
+    }
+  } else if ( typeof identifier.id !== 'string' ) {
+    errors.push(buildError(
+      'A resource identifier object must contain a string "id" member.',
+      pointer(...path, 'id')
+    ));
+  }
+}
+
+// Ensure every resource in the "included" member of a document is reachable
+// from the primary data by following relationship linkage, as required by
+// http://jsonapi.org/format/#document-compound-documents
+function validateFullLinkage( doc, errors ) {
+
+  const included = doc.included.reduce(( obj, item ) => {
+
+    if ( isObject(item) ) {
+      obj[ resourceKey(item.type, item.id, item.lid) ] = item;
+    }
+
+    return obj;
+  }, Object.create(null));
+  const primary = ( Array.isArray(doc.data) ? doc.data : [ doc.data ] )
+    .filter(isObject);
+  const reachable = Object.create(null);
+  let queue = primary;
+
+  // Walk the graph of relationships outwards from the primary data. Any
+  // included resource that we visit along the way is reachable.
+  while ( queue.length ) {
+
+    const next = [];
+
+    queue.forEach(( resource ) => {
+
+      linkedIdentifiers(resource).forEach(( key ) => {
+
+        if ( reachable[ key ] ) {
+          return;
+        }
+
+        reachable[ key ] = true;
+
+        if ( included[ key ] ) {
+          next.push(included[ key ]);
+        }
+      });
+    });
+
+    queue = next;
+  }
+
+  doc.included.forEach(( item, i ) => {
+
+    if ( isObject(item) && !reachable[ resourceKey(item.type, item.id, item.lid) ] ) {
+      errors.push(buildError(
+        'An included resource must be referenced by resource linkage from ' +
+        'the primary data or another included resource.',
+        pointer('included', i)
+      ));
+    }
+  });
+}
+
+// Get the keys (see "resourceKey") of all resources referenced by the
+// relationship linkage of a resource object.
+function linkedIdentifiers( resource ) {
+
+  const relationships = isObject(resource.relationships) ?
+    resource.relationships :
+    {};
+
+  return Object.keys(relationships).reduce(( keys, key ) => {
+
+    const relationship = relationships[ key ];
+    const data = isObject(relationship) ? relationship.data : null;
+
+    ( Array.isArray(data) ? data : [ data ] ).forEach(( identifier ) => {
+
+      if ( isObject(identifier) ) {
+        keys.push(resourceKey(identifier.type, identifier.id, identifier.lid));
+      }
+    });
+
+    return keys;
+  }, []);
+}
+
+// Build an Error describing a problem with the document. The "source.pointer"
+// is a JSON Pointer (RFC 6901) to the offending member.
+function buildError( detail, path ) {
+  return createError(detail, { pointer: path });
+}
+
+// Check whether an object has a member of its own. Documents are client input,
+// so they may shadow "hasOwnProperty" or have no prototype at all.
+function hasMember( obj, key ) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+function isObject( value ) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
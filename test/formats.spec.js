@@ -0,0 +1,162 @@
+import chai from 'chai';
+import Kudu from 'kudu';
+import Serialize from '../src/serializer';
+
+let expect = chai.expect;
+
+describe('Formats', () => {
+
+  let kudu;
+  let Model;
+  let Child;
+
+  beforeEach(() => {
+    kudu = new Kudu();
+    Model = kudu.createModel('blogPost', {
+      properties: {
+        postTitle: {
+          type: String,
+        },
+      },
+      relationships: {
+        leadAuthor: { type: 'authorProfile' },
+      },
+    });
+    Child = kudu.createModel('authorProfile', {
+      properties: {
+        displayName: {
+          type: String,
+        },
+      },
+    });
+  });
+
+  describe('#toJSON', () => {
+
+    it('should leave member names unchanged by default', () => {
+      let instance = new Model({ id: '1', postTitle: 'test' });
+      let serialized = Serialize.toJSON(instance, { stringify: false });
+      expect(serialized.data.attributes).to.have.all.keys('postTitle');
+    });
+
+    it('should format attribute and relationship names', () => {
+      let instance = new Model({
+        id: '1',
+        postTitle: 'test',
+        leadAuthor: new Child({ id: '2', displayName: 'author' }),
+      });
+      let serialized = Serialize.toJSON(instance, {
+        stringify: false,
+        keyFormat: 'kebab',
+      });
+      expect(serialized.data.attributes).to.deep.equal({ 'post-title': 'test' });
+      expect(serialized.data.relationships).to.have.all.keys('lead-author');
+      expect(serialized.data.relationships[ 'lead-author' ].links.related)
+        .to.equal('/blogPosts/1/lead-author');
+      expect(serialized.included[ 0 ].attributes).to.deep.equal({
+        'display-name': 'author',
+      });
+    });
+
+    it('should format names in snake case', () => {
+      let instance = new Model({ id: '1', postTitle: 'test' });
+      let serialized = Serialize.toJSON(instance, {
+        stringify: false,
+        keyFormat: 'snake',
+      });
+      expect(serialized.data.attributes).to.have.all.keys('post_title');
+    });
+
+    it('should format names with a custom function', () => {
+      let instance = new Model({ id: '1', postTitle: 'test' });
+      let serialized = Serialize.toJSON(instance, {
+        stringify: false,
+        keyFormat: ( name ) => name.toUpperCase(),
+      });
+      expect(serialized.data.attributes).to.have.all.keys('POSTTITLE');
+    });
+
+    it('should format resource types', () => {
+      let instance = new Model({ id: '1', leadAuthor: '2' });
+      let serialized = Serialize.toJSON(instance, {
+        stringify: false,
+        typeFormat: 'kebab',
+      });
+      expect(serialized.data.type).to.equal('blog-post');
+      expect(serialized.data.relationships.leadAuthor.data)
+        .to.deep.equal({ id: '2', type: 'author-profile' });
+    });
+
+    it('should apply sparse fieldsets and include paths by formatted name', () => {
+      let instance = new Model({
+        id: '1',
+        postTitle: 'test',
+        leadAuthor: new Child({ id: '2', displayName: 'author' }),
+      });
+      let serialized = Serialize.toJSON(instance, {
+        stringify: false,
+        keyFormat: 'kebab',
+        typeFormat: 'kebab',
+        include: 'lead-author',
+        fields: { 'blog-post': 'post-title', 'author-profile': [] },
+      });
+      expect(serialized.data.attributes).to.have.all.keys('post-title');
+      expect(serialized.data).to.not.have.property('relationships');
+      expect(serialized.included).to.have.length(1);
+    });
+
+    it('should throw for an unknown format', () => {
+      let instance = new Model({ id: '1' });
+      let test = () => Serialize.toJSON(instance, { keyFormat: 'fake' });
+      expect(test).to.throw(Error, /"fake"/);
+    });
+  });
+
+  describe('#fromJSON', () => {
+
+    it('should map formatted member names back to schema property names', () => {
+      let instance = Serialize.fromJSON({
+        data: {
+          type: 'blogPost',
+          id: '1',
+          attributes: { 'post-title': 'test' },
+          relationships: {
+            'lead-author': { data: { type: 'authorProfile', id: '2' } },
+          },
+        },
+      }, kudu, { keyFormat: 'kebab' });
+      expect(instance).to.have.property('postTitle', 'test');
+      expect(instance).to.have.property('leadAuthor', '2');
+    });
+
+    it('should map formatted resource types back to models', () => {
+      let instance = Serialize.fromJSON({
+        data: {
+          type: 'blog_post',
+          id: '1',
+          relationships: {
+            leadAuthor: { data: { type: 'author_profile', id: '2' } },
+          },
+        },
+        included: [
+          { type: 'author_profile', id: '2', attributes: { displayName: 'a' } },
+        ],
+      }, kudu, { typeFormat: 'snake' });
+      expect(instance).to.be.an.instanceOf(Model);
+      expect(instance.leadAuthor).to.be.an.instanceOf(Child);
+    });
+
+    it('should map types formatted by a custom function back to models', () => {
+      let typeFormat = ( type ) => `${ type }s`;
+      let doc = Serialize.toJSON(new Model({
+        id: '1',
+        leadAuthor: new Child({ id: '2', displayName: 'a' }),
+      }), { typeFormat });
+      let instance = Serialize.fromJSON(doc, kudu, { typeFormat });
+      expect(JSON.parse(doc).data.type).to.equal('blogPosts');
+      expect(instance).to.be.an.instanceOf(Model);
+      expect(instance.leadAuthor).to.be.an.instanceOf(Child);
+      expect(instance.leadAuthor).to.have.property('displayName', 'a');
+    });
+  });
+});
@@ -0,0 +1,124 @@
+import chai from 'chai';
+import Kudu from 'kudu';
+import Serialize, { JsonApiSerializer } from '../src/serializer';
+
+let expect = chai.expect;
+
+describe('JsonApiSerializer', () => {
+
+  let kudu;
+  let User;
+  let Post;
+
+  beforeEach(() => {
+    kudu = new Kudu();
+    User = kudu.createModel('user', {
+      properties: {
+        name: {
+          type: String,
+        },
+        email: {
+          type: String,
+        },
+      },
+    });
+    Post = kudu.createModel('post', {
+      properties: {
+        title: {
+          type: String,
+        },
+      },
+      relationships: {
+        author: { type: 'user' },
+      },
+    });
+  });
+
+  it('should be the class of the default export', () => {
+    expect(Serialize).to.be.an.instanceOf(JsonApiSerializer);
+  });
+
+  it('should allow the methods of the default export to be used detached', () => {
+    let { toJSON, errorsToJSON } = Serialize;
+    expect(JSON.parse(toJSON(new User({ id: '1' }))).data.id).to.equal('1');
+    expect(JSON.parse(errorsToJSON(new Error('test'))).errors).to.have.length(1);
+  });
+
+  it('should use the options it is created with as defaults', () => {
+    let serializer = new JsonApiSerializer({ typeFormat: ( type ) => `${ type }s` });
+    let instance = new User({ id: '1' });
+    expect(serializer.toJSON(instance, { stringify: false }).data.type).to.equal('users');
+    expect(serializer.toJSON(instance, { stringify: false, typeFormat: 'kebab' }).data.type)
+      .to.equal('user');
+  });
+
+  it('should allow subclasses to override the hooks for every model', () => {
+
+    class MetaSerializer extends JsonApiSerializer {
+      resourceMeta( instance ) {
+        return { model: instance.constructor.singular };
+      }
+    }
+
+    let serialized = new MetaSerializer().toJSON(new User({ id: '1' }), { stringify: false });
+    expect(serialized.data.meta).to.deep.equal({ model: 'user' });
+  });
+
+  it('should allow the hooks to be overridden for a single model', () => {
+    let serializer = new JsonApiSerializer().register(User, {
+      resourceType() {
+        return 'people';
+      },
+      serializeAttributes( instance, options ) {
+        let attributes = JsonApiSerializer.prototype.serializeAttributes.call(
+          this,
+          instance,
+          options
+        );
+        delete attributes.email;
+        return attributes;
+      },
+    });
+    let post = new Post({
+      id: '1',
+      title: 'Post',
+      author: new User({ id: '2', name: 'Name', email: 'a@b.c' }),
+    });
+    let serialized = serializer.toJSON(post, { stringify: false, linkBuilder: false });
+    expect(serialized.data.attributes).to.deep.equal({ title: 'Post' });
+    expect(serialized.data.relationships.author.data).to.deep.equal({
+      id: '2',
+      type: 'people',
+    });
+    expect(serialized.included).to.deep.equal([
+      { type: 'people', id: '2', attributes: { name: 'Name' } },
+    ]);
+  });
+
+  it('should allow a model to be registered with a subclass', () => {
+
+    class UserSerializer extends JsonApiSerializer {
+      resourceId( instance ) {
+        return `user-${ instance.id }`;
+      }
+      resourceLinks( instance ) {
+        return { profile: `/profiles/${ instance.id }` };
+      }
+    }
+
+    let serializer = new JsonApiSerializer().register('user', UserSerializer);
+    let serialized = serializer.toJSON([
+      new User({ id: '1' }),
+      new Post({ id: '2' }),
+    ], { stringify: false });
+    expect(serialized.data[ 0 ].id).to.equal('user-1');
+    expect(serialized.data[ 0 ].links).to.deep.equal({ profile: '/profiles/1' });
+    expect(serialized.data[ 1 ]).to.not.have.property('links');
+  });
+
+  it('should not affect other serializers when registering a model', () => {
+    new JsonApiSerializer().register(User, { resourceType: () => 'people' });
+    expect(Serialize.toJSON(new User({ id: '1' }), { stringify: false }).data.type)
+      .to.equal('user');
+  });
+});
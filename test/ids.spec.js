@@ -0,0 +1,121 @@
+import chai from 'chai';
+import Kudu from 'kudu';
+import Serialize from '../src/serializer';
+
+let expect = chai.expect;
+
+describe('Identifiers', () => {
+
+  let kudu;
+  let Doc;
+  let Entry;
+  let Model;
+
+  beforeEach(() => {
+    kudu = new Kudu();
+    Doc = kudu.createModel('doc', {
+      primaryKey: '_id',
+      properties: {
+        title: {
+          type: String,
+        },
+      },
+      relationships: {
+        entry: { type: 'entry' },
+      },
+    });
+    Entry = kudu.createModel('entry', {
+      properties: {
+        year: {
+          type: Number,
+        },
+        number: {
+          type: Number,
+        },
+      },
+    });
+    Entry.primaryKey = [ 'year', 'number' ];
+    Model = kudu.createModel('test', {
+      properties: {
+        name: {
+          type: String,
+        },
+      },
+      relationships: {
+        child: { type: 'test' },
+      },
+    });
+  });
+
+  describe('#toJSON', () => {
+
+    it('should use the primary key declared by the schema', () => {
+      let instance = new Doc({ _id: 'abc', title: 'Doc' });
+      let serialized = Serialize.toJSON(instance, { stringify: false });
+      expect(serialized.data.id).to.equal('abc');
+      expect(serialized.data.relationships.entry.links.self)
+        .to.equal('/docs/abc/relationships/entry');
+    });
+
+    it('should join the values of a composite key', () => {
+      let instance = new Doc({ _id: 'abc', entry: new Entry({ year: 2016, number: 42 }) });
+      let serialized = Serialize.toJSON(instance, { stringify: false });
+      expect(serialized.data.relationships.entry.data).to.deep.equal({
+        id: '2016:42',
+        type: 'entry',
+      });
+      expect(serialized.included[ 0 ].id).to.equal('2016:42');
+    });
+
+    it('should use a primary key function', () => {
+      Model.primaryKey = { get: ( instance ) => `${ instance.name }!` };
+      let serialized = Serialize.toJSON(new Model({ name: 'a' }), { stringify: false });
+      expect(serialized.data.id).to.equal('a!');
+    });
+
+    it('should serialize numeric identifiers as strings', () => {
+      let instance = new Model({ id: 1, child: 2 });
+      let serialized = Serialize.toJSON(instance, { stringify: false });
+      expect(serialized.data.id).to.equal('1');
+      expect(serialized.data.relationships.child.data.id).to.equal('2');
+    });
+
+    it('should throw if a related object is not an identifier', () => {
+      let instance = new Model({ id: '1', child: { name: 'child' } });
+      let test = () => Serialize.toJSON(instance);
+      expect(test).to.throw(Error, /"child" relationship must be a string or a number/);
+    });
+
+    it('should throw if an identifier is an object', () => {
+      let instance = new Model({ id: { value: 1 } });
+      let test = () => Serialize.toJSON(instance);
+      expect(test).to.throw(Error, /"test" resource must be a string or a number/);
+    });
+  });
+
+  describe('#fromJSON', () => {
+
+    it('should apply the identifier to the primary key', () => {
+      let instance = Serialize.fromJSON({ data: { type: 'doc', id: 'abc' } }, kudu);
+      expect(instance._id).to.equal('abc');
+      expect(instance).to.not.have.property('id');
+    });
+
+    it('should split the identifier of a composite key', () => {
+      let instance = Serialize.fromJSON({ data: { type: 'entry', id: '2016:42' } }, kudu);
+      expect(instance.year).to.equal('2016');
+      expect(instance.number).to.equal('42');
+    });
+
+    it('should apply the identifier with a primary key function', () => {
+      Model.primaryKey = {
+        get: ( instance ) => instance.name,
+        set: ( instance, id ) => {
+          instance.name = id;
+        },
+      };
+      let instance = Serialize.fromJSON({ data: { type: 'test', id: 'a' } }, kudu);
+      expect(instance.name).to.equal('a');
+    });
+  });
+});
@@ -0,0 +1,206 @@
+import chai from 'chai';
+import Kudu from 'kudu';
+import Serialize from '../src/serializer';
+
+let expect = chai.expect;
+
+describe('Local identifiers', () => {
+
+  let kudu;
+  let Post;
+  let Comment;
+
+  beforeEach(() => {
+    kudu = new Kudu();
+    Post = kudu.createModel('post', {
+      properties: {
+        title: {
+          type: String,
+        },
+      },
+      relationships: {
+        comments: { type: 'comment', hasMany: true },
+      },
+    });
+    Comment = kudu.createModel('comment', {
+      properties: {
+        body: {
+          type: String,
+        },
+      },
+      relationships: {
+        post: { type: 'post' },
+      },
+    });
+  });
+
+  describe('#toJSON', () => {
+
+    it('should identify an unsaved instance by a generated "lid"', () => {
+      let instance = new Post({ title: 'new' });
+      let serialized = Serialize.toJSON(instance, { requireId: false, stringify: false });
+      expect(serialized.data).to.not.have.property('id');
+      expect(serialized.data.lid).to.match(/^[0-9a-f-]{36}$/);
+    });
+
+    it('should use the "lid" provided by an unsaved instance', () => {
+      let instance = new Post({ title: 'new', lid: 'p1' });
+      let serialized = Serialize.toJSON(instance, { requireId: false, stringify: false });
+      expect(serialized.data.lid).to.equal('p1');
+    });
+
+    it('should not add a "lid" to saved instances', () => {
+      let instance = new Post({ id: '1', lid: 'p1' });
+      let serialized = Serialize.toJSON(instance, { stringify: false });
+      expect(serialized.data.id).to.equal('1');
+      expect(serialized.data).to.not.have.property('lid');
+    });
+
+    it('should include unsaved related instances and link them by "lid"', () => {
+      let post = new Post({ title: 'new', lid: 'p1' });
+      let comment = new Comment({ body: 'first', post });
+      post.comments = [ comment, '2' ];
+      let serialized = JSON.parse(Serialize.toJSON(post, { requireId: false }));
+      let lid = serialized.data.relationships.comments.data[ 0 ].lid;
+      expect(serialized.data.relationships.comments.data).to.deep.equal([
+        { lid, type: 'comment' },
+        { id: '2', type: 'comment' },
+      ]);
+      expect(serialized.included).to.deep.equal([
+        {
+          type: 'comment',
+          lid,
+          attributes: { body: 'first' },
+          relationships: {
+            post: { data: { lid: 'p1', type: 'post' } },
+          },
+        },
+      ]);
+      expect(Serialize.validate(serialized)).to.deep.equal([]);
+    });
+
+    it('should include unsaved instances related to a saved instance', () => {
+      let post = new Post({ id: '1', title: 'saved' });
+      post.comments = [ new Comment({ body: 'new', post }) ];
+      let serialized = Serialize.toJSON(post, { stringify: false });
+      let lid = serialized.data.relationships.comments.data[ 0 ].lid;
+      expect(lid).to.be.a('string');
+      expect(serialized.included.map(( item ) => item.lid)).to.deep.equal([ lid ]);
+      expect(serialized.included[ 0 ]).to.not.have.property('id');
+    });
+
+    it('should declare version 1.1 of JSON API when a "lid" is used', () => {
+      let post = new Post({ id: '1', title: 'saved' });
+      post.comments = [ new Comment({ body: 'new' }) ];
+      let serialized = Serialize.toJSON(post, { jsonapi: true, stringify: false });
+      expect(serialized.jsonapi).to.deep.equal({ version: '1.1' });
+      serialized = Serialize.toJSON(new Post({ id: '1' }), { jsonapi: true, stringify: false });
+      expect(serialized.jsonapi).to.deep.equal({ version: '1.0' });
+    });
+
+    it('should use the same generated "lid" for every reference to an instance', () => {
+      let post = new Post({ title: 'new' });
+      post.comments = [ new Comment({ body: 'a', post }), new Comment({ body: 'b', post }) ];
+      let serialized = Serialize.toJSON(post, { requireId: false, stringify: false });
+      let lid = serialized.data.lid;
+      expect(serialized.included.map(( item ) => item.relationships.post.data.lid))
+        .to.deep.equal([ lid, lid ]);
+    });
+  });
+
+  describe('#fromJSON', () => {
+
+    let doc;
+
+    beforeEach(() => {
+      doc = {
+        data: {
+          type: 'post',
+          lid: 'p1',
+          attributes: { title: 'new' },
+          relationships: {
+            comments: { data: [ { type: 'comment', lid: 'c1' } ] },
+          },
+        },
+        included: [
+          {
+            type: 'comment',
+            lid: 'c1',
+            attributes: { body: 'first' },
+            relationships: {
+              post: { data: { type: 'post', lid: 'p1' } },
+            },
+          },
+        ],
+      };
+    });
+
+    it('should resolve resource linkage by "lid"', () => {
+      let post = Serialize.fromJSON(doc, kudu, { method: 'POST' });
+      expect(post.lid).to.equal('p1');
+      expect(post.comments[ 0 ]).to.be.an.instanceOf(Comment);
+      expect(post.comments[ 0 ].lid).to.equal('c1');
+      expect(post.comments[ 0 ].post).to.equal(post);
+    });
+
+    it('should reject a "lid" that is not present in the document', () => {
+      doc.data.relationships.comments.data.push({ type: 'comment', lid: 'c2' });
+      let test = () => Serialize.fromJSON(doc, kudu, { method: 'POST' });
+      expect(test).to.throw(Error).with.property('errors').that.satisfies(( errors ) =>
+        errors[ 0 ].source.pointer === '/data/relationships/comments/data/1/lid'
+      );
+    });
+
+    it('should accept client-generated ids by default', () => {
+      let post = Serialize.fromJSON({ data: { type: 'post', id: 'abc' } }, kudu, { method: 'POST' });
+      expect(post.id).to.equal('abc');
+    });
+
+    it('should reject client-generated ids if they are not supported', () => {
+      let test = () => Serialize.fromJSON({ data: { type: 'post', id: 'abc' } }, kudu, {
+        method: 'POST',
+        clientIds: false,
+      });
+      expect(test).to.throw(Error).with.property('status', 403);
+    });
+
+    it('should only accept UUIDs as client-generated ids if configured', () => {
+      let id = '1b4e28ba-2fa1-41d2-883f-0016d3cca427';
+      let options = { method: 'POST', clientIds: 'uuid' };
+      let post = Serialize.fromJSON({ data: { type: 'post', id } }, kudu, options);
+      expect(post.id).to.equal(id);
+      let test = () => Serialize.fromJSON({ data: { type: 'post', id: 'abc' } }, kudu, options);
+      expect(test).to.throw(Error).with.property('errors').that.satisfies(( errors ) =>
+        errors[ 0 ].source.pointer === '/data/id' && errors[ 0 ].status === 400
+      );
+    });
+
+    it('should not check the ids of existing resources', () => {
+      let post = Serialize.fromJSON({ data: { type: 'post', id: 'abc' } }, kudu, {
+        method: 'PATCH',
+        clientIds: false,
+      });
+      expect(post.id).to.equal('abc');
+    });
+  });
+
+  describe('#validate', () => {
+
+    it('should allow resources and resource linkage identified by "lid"', () => {
+      let errors = Serialize.validate({
+        data: {
+          type: 'post',
+          lid: 'p1',
+          relationships: { comments: { data: [ { type: 'comment', lid: 'c1' } ] } },
+        },
+        included: [ { type: 'comment', lid: 'c1' } ],
+      });
+      expect(errors).to.deep.equal([]);
+    });
+
+    it('should return an error if a "lid" is not a string', () => {
+      let errors = Serialize.validate({ data: { type: 'post', lid: 1 } });
+      expect(errors.map(( error ) => error.source.pointer)).to.deep.equal([ '/data/lid' ]);
+    });
+  });
+});
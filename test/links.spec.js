@@ -0,0 +1,152 @@
+import chai from 'chai';
+import Kudu from 'kudu';
+import Serialize from '../src/serializer';
+
+let expect = chai.expect;
+
+describe('Links', () => {
+
+  let kudu;
+  let Model;
+  let Child;
+
+  beforeEach(() => {
+    kudu = new Kudu();
+    Model = kudu.createModel('test', {
+      properties: {
+        name: {
+          type: String,
+        },
+      },
+      relationships: {
+        child: { type: 'child' },
+      },
+    });
+    Child = kudu.createModel('child', {
+      properties: {
+        name: {
+          type: String,
+        },
+      },
+    });
+  });
+
+  describe('#toJSON', () => {
+
+    it('should not include resource "self" links by default', () => {
+      let instance = new Model({ name: 'test', id: '1' });
+      let serialized = Serialize.toJSON(instance, { stringify: false });
+      expect(serialized.data).to.not.have.property('links');
+    });
+
+    it('should prefix links with a base URL', () => {
+      let instance = new Model({ name: 'test', id: '1' });
+      let serialized = Serialize.toJSON(instance, {
+        stringify: false,
+        linkBuilder: { baseUrl: 'https://example.com/api/v2/' },
+      });
+      expect(serialized.data.links).to.deep.equal({
+        self: 'https://example.com/api/v2/tests/1',
+      });
+      expect(serialized.data.relationships.child.links).to.deep.equal({
+        self: 'https://example.com/api/v2/tests/1/relationships/child',
+        related: 'https://example.com/api/v2/tests/1/child',
+      });
+    });
+
+    it('should build links from URL templates', () => {
+      let instance = new Model({ name: 'test', id: 'a/b' });
+      let serialized = Serialize.toJSON(instance, {
+        stringify: false,
+        linkBuilder: {
+          self: '/{type}/{id}',
+          related: '/{type}/{id}/related/{relationship}',
+        },
+      });
+      expect(serialized.data.links.self).to.equal('/test/a%2Fb');
+      expect(serialized.data.relationships.child.links.related)
+        .to.equal('/test/a%2Fb/related/child');
+    });
+
+    it('should build links from functions', () => {
+      let instance = new Model({ name: 'test', id: '1' });
+      let serialized = Serialize.toJSON(instance, {
+        stringify: false,
+        linkBuilder: {
+          baseUrl: '/api',
+          relationship: ( params ) =>
+            `${ params.baseUrl }/${ params.instance.name }/${ params.relationship }`,
+        },
+      });
+      expect(serialized.data.relationships.child.links.self)
+        .to.equal('/api/test/child');
+    });
+
+    it('should omit links for which no template is configured', () => {
+      let instance = new Model({ name: 'test', id: '1' });
+      let serialized = Serialize.toJSON(instance, {
+        stringify: false,
+        linkBuilder: { self: null, relationship: null },
+      });
+      expect(serialized.data).to.not.have.property('links');
+      expect(serialized.data.relationships.child.links).to.deep.equal({
+        related: '/tests/1/child',
+      });
+    });
+
+    it('should omit all links when disabled', () => {
+      let instance = new Model({ name: 'test', id: '1', child: '2' });
+      let serialized = Serialize.toJSON(instance, {
+        stringify: false,
+        linkBuilder: false,
+      });
+      expect(serialized.data).to.not.have.property('links');
+      expect(serialized.data.relationships.child).to.deep.equal({
+        data: { id: '2', type: 'child' },
+      });
+    });
+
+    it('should allow a model to override the link builder', () => {
+      Child.linkBuilder = { baseUrl: 'https://children.example.com' };
+      let instance = new Model({
+        name: 'test',
+        id: '1',
+        child: new Child({ id: '2', name: 'child' }),
+      });
+      let serialized = Serialize.toJSON(instance, {
+        stringify: false,
+        linkBuilder: { baseUrl: '/api' },
+      });
+      expect(serialized.data.links.self).to.equal('/api/tests/1');
+      expect(serialized.included[ 0 ].links.self)
+        .to.equal('https://children.example.com/childs/2');
+    });
+
+    it('should allow a model to disable links', () => {
+      Child.linkBuilder = false;
+      let instance = new Model({
+        name: 'test',
+        id: '1',
+        child: new Child({ id: '2', name: 'child' }),
+      });
+      let serialized = Serialize.toJSON(instance, {
+        stringify: false,
+        linkBuilder: { baseUrl: '/api' },
+      });
+      expect(serialized.included[ 0 ]).to.not.have.property('links');
+    });
+
+    it('should let the "resourceLinks" hook add to the generated links', () => {
+      let instance = new Model({ name: 'test', id: '1' });
+      let serialized = Serialize.toJSON(instance, {
+        stringify: false,
+        linkBuilder: {},
+        resourceLinks: () => ({ describedby: '/schemas/test' }),
+      });
+      expect(serialized.data.links).to.deep.equal({
+        self: '/tests/1',
+        describedby: '/schemas/test',
+      });
+    });
+  });
+});
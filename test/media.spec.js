@@ -0,0 +1,106 @@
+import chai from 'chai';
+import Serialize from '../src/serializer';
+
+let expect = chai.expect;
+
+describe('Content negotiation', () => {
+
+  const ATOMIC = 'https://jsonapi.org/ext/atomic';
+  const PROFILE = 'https://example.com/profiles/timestamps';
+
+  describe('#negotiate', () => {
+
+    it('should accept the plain media type', () => {
+      let result = Serialize.negotiate({
+        contentType: 'application/vnd.api+json',
+        accept: 'application/vnd.api+json',
+      });
+      expect(result).to.deep.equal({
+        ext: [],
+        profile: [],
+        contentType: 'application/vnd.api+json',
+        errors: [],
+        status: null,
+        document: null,
+      });
+    });
+
+    it('should accept requests without the headers', () => {
+      expect(Serialize.negotiate({}).status).to.equal(null);
+      expect(Serialize.negotiate({ accept: '*/*' }).status).to.equal(null);
+    });
+
+    it('should respond with 415 to media type parameters other than "ext" and "profile"', () => {
+      let result = Serialize.negotiate({
+        contentType: 'application/vnd.api+json; charset=utf-8',
+      });
+      expect(result.status).to.equal(415);
+      expect(JSON.parse(result.document).errors[ 0 ]).to.have.property('status', '415');
+    });
+
+    it('should respond with 415 to other media types', () => {
+      let result = Serialize.negotiate({ contentType: 'application/json' });
+      expect(result.status).to.equal(415);
+    });
+
+    it('should respond with 415 to unsupported extensions', () => {
+      let result = Serialize.negotiate({
+        contentType: `application/vnd.api+json; ext="${ ATOMIC }"`,
+      });
+      expect(result.status).to.equal(415);
+    });
+
+    it('should respond with 406 if every instance in "Accept" is parameterized', () => {
+      let result = Serialize.negotiate({
+        accept: 'application/vnd.api+json; charset=utf-8, ' +
+          'application/vnd.api+json; version=2',
+      });
+      expect(result.status).to.equal(406);
+    });
+
+    it('should respond with 406 if every instance in "Accept" has a quality of zero', () => {
+      let result = Serialize.negotiate({ accept: 'application/vnd.api+json; q=0' });
+      expect(result.status).to.equal(406);
+    });
+
+    it('should use an acceptable instance in "Accept"', () => {
+      let result = Serialize.negotiate({
+        accept: 'application/vnd.api+json; charset=utf-8, application/vnd.api+json',
+      });
+      expect(result.status).to.equal(null);
+    });
+
+    it('should negotiate extensions and profiles', () => {
+      let result = Serialize.negotiate({
+        contentType: `application/vnd.api+json; ext="${ ATOMIC }"`,
+        accept: `application/vnd.api+json; q=0.5, application/vnd.api+json; ` +
+          `ext="${ ATOMIC }"; profile="${ PROFILE } https://example.com/unknown"`,
+      }, {
+        ext: [ ATOMIC ],
+        profile: [ PROFILE ],
+      });
+      expect(result.ext).to.deep.equal([ ATOMIC ]);
+      expect(result.profile).to.deep.equal([ PROFILE ]);
+      expect(result.contentType).to.equal(
+        `application/vnd.api+json; ext="${ ATOMIC }"; profile="${ PROFILE }"`
+      );
+    });
+
+    it('should use the extensions of the request body by default', () => {
+      let result = Serialize.negotiate({
+        contentType: `application/vnd.api+json;ext="${ ATOMIC }"`,
+        accept: 'application/json, */*',
+      }, { ext: [ ATOMIC ] });
+      expect(result.ext).to.deep.equal([ ATOMIC ]);
+    });
+  });
+
+  describe('#contentType', () => {
+
+    it('should build the "Content-Type" header of a response', () => {
+      expect(Serialize.contentType()).to.equal('application/vnd.api+json');
+      expect(Serialize.contentType({ ext: [ ATOMIC ] }))
+        .to.equal(`application/vnd.api+json; ext="${ ATOMIC }"`);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+import chai from 'chai';
+import Kudu from 'kudu';
+import Serialize from '../src/serializer';
+
+let expect = chai.expect;
+
+describe('Atomic operations', () => {
+
+  let kudu;
+  let Post;
+  let Comment;
+
+  // Get the JSON pointers of the errors thrown by a function.
+  let pointers = ( fn ) => {
+    try {
+      fn();
+    } catch ( err ) {
+      return err.errors.map(( error ) => error.source.pointer);
+    }
+    return [];
+  };
+
+  beforeEach(() => {
+    kudu = new Kudu();
+    Post = kudu.createModel('post', {
+      properties: {
+        title: {
+          type: String,
+        },
+        slug: {
+          type: String,
+          readOnly: true,
+        },
+      },
+      relationships: {
+        comments: { type: 'comment', hasMany: true },
+        author: { type: 'person' },
+      },
+    });
+    Comment = kudu.createModel('comment', {
+      properties: {
+        body: {
+          type: String,
+        },
+      },
+      relationships: {
+        post: { type: 'post' },
+      },
+    });
+  });
+
+  describe('#operationsFromJSON', () => {
+
+    it('should deserialize operations on resources', () => {
+      let operations = Serialize.operationsFromJSON({
+        'atomic:operations': [
+          { op: 'add', data: { type: 'post', attributes: { title: 'new' } } },
+          { op: 'update', data: { type: 'post', id: '1', attributes: { title: 'edit' } } },
+          { op: 'remove', ref: { type: 'post', id: '2' }, meta: { reason: 'spam' } },
+        ],
+      }, kudu);
+      expect(operations).to.have.length(3);
+      expect(operations[ 0 ].op).to.equal('add');
+      expect(operations[ 0 ].Model).to.equal(Post);
+      expect(operations[ 0 ].instance).to.be.an.instanceOf(Post);
+      expect(operations[ 0 ].instance.title).to.equal('new');
+      expect(operations[ 1 ].id).to.equal('1');
+      expect(operations[ 1 ].instance.title).to.equal('edit');
+      expect(operations[ 2 ]).to.deep.equal({
+        op: 'remove',
+        Model: Post,
+        id: '2',
+        meta: { reason: 'spam' },
+      });
+    });
+
+    it('should resolve references to resources added by earlier operations', () => {
+      let operations = Serialize.operationsFromJSON(JSON.stringify({
+        'atomic:operations': [
+          { op: 'add', data: { type: 'post', lid: 'p1', attributes: { title: 'new' } } },
+          {
+            op: 'add',
+            data: {
+              type: 'comment',
+              lid: 'c1',
+              relationships: { post: { data: { type: 'post', lid: 'p1' } } },
+            },
+          },
+          {
+            op: 'add',
+            ref: { type: 'post', lid: 'p1', relationship: 'comments' },
+            data: [ { type: 'comment', lid: 'c1' }, { type: 'comment', id: '5' } ],
+          },
+        ],
+      }), kudu);
+      let post = operations[ 0 ].instance;
+      let comment = operations[ 1 ].instance;
+      expect(comment.post).to.equal(post);
+      expect(operations[ 2 ].instance).to.equal(post);
+      expect(operations[ 2 ].relationship).to.equal('comments');
+      expect(operations[ 2 ].data).to.deep.equal([ comment, '5' ]);
+    });
+
+    it('should interpret "href" targets with the link builder', () => {
+      let operations = Serialize.operationsFromJSON({
+        'atomic:operations': [
+          {
+            op: 'update',
+            href: '/api/posts/1/relationships/author',
+            data: { type: 'person', id: '9' },
+          },
+          { op: 'remove', href: '/api/posts/2' },
+          { op: 'add', href: '/api/posts', data: { type: 'post' } },
+        ],
+      }, kudu, { linkBuilder: { baseUrl: '/api' } });
+      expect(operations[ 0 ]).to.deep.equal({
+        op: 'update',
+        Model: Post,
+        id: '1',
+        relationship: 'author',
+        data: '9',
+      });
+      expect(operations[ 1 ]).to.deep.equal({ op: 'remove', Model: Post, id: '2' });
+      expect(operations[ 2 ].instance).to.be.an.instanceOf(Post);
+    });
+
+    it('should point errors at the offending operation', () => {
+      let test = () => Serialize.operationsFromJSON({
+        'atomic:operations': [
+          { op: 'add', data: { type: 'post', attributes: { title: 'new' } } },
+          { op: 'create', data: { type: 'post' } },
+          { op: 'remove', ref: { type: 'comment', lid: 'missing' } },
+          { op: 'update', data: { type: 'post', id: '1', attributes: { slug: 'x' } } },
+          {
+            op: 'update',
+            ref: { type: 'post', id: '1', relationship: 'comments' },
+            data: [ { type: 'post', id: '2' } ],
+          },
+        ],
+      }, kudu);
+      expect(pointers(test)).to.deep.equal([
+        '/atomic:operations/1/op',
+        '/atomic:operations/2/ref/lid',
+        '/atomic:operations/3/data/attributes/slug',
+        '/atomic:operations/4/data/0/type',
+      ]);
+    });
+
+    it('should reject a document without operations', () => {
+      let test = () => Serialize.operationsFromJSON({ data: null }, kudu);
+      expect(pointers(test)).to.deep.equal([ '' ]);
+    });
+
+    it('should reject "add" operations that target an existing resource', () => {
+      let test = () => Serialize.operationsFromJSON({
+        'atomic:operations': [
+          { op: 'add', ref: { type: 'post', id: '1' }, data: { type: 'post' } },
+        ],
+      }, kudu);
+      expect(pointers(test)).to.deep.equal([ '/atomic:operations/0/ref' ]);
+    });
+
+    it('should reject operations whose target does not match their data', () => {
+      let test = () => Serialize.operationsFromJSON({
+        'atomic:operations': [
+          { op: 'update', ref: { type: 'post', id: '1' }, data: { type: 'post', id: '2' } },
+        ],
+      }, kudu);
+      expect(test).to.throw(Error).with.property('status', 409);
+    });
+  });
+
+  describe('#operationResultsToJSON', () => {
+
+    it('should serialize the results of operations', () => {
+      let serialized = Serialize.operationResultsToJSON([
+        new Post({ id: '1', title: 'new' }),
+        null,
+        { data: null, meta: { deleted: true } },
+      ], { fields: { post: 'title' } });
+      expect(JSON.parse(serialized)).to.deep.equal({
+        'atomic:results': [
+          { data: { type: 'post', id: '1', attributes: { title: 'new' } } },
+          {},
+          { data: null, meta: { deleted: true } },
+        ],
+      });
+    });
+
+    it('should accept the resource options of "toJSON"', () => {
+      let serialized = Serialize.operationResultsToJSON([
+        new Comment({ id: '1', body: 'text' }),
+      ], {
+        stringify: false,
+        fields: { comment: [] },
+        meta: { count: 1 },
+      });
+      expect(serialized[ 'atomic:results' ][ 0 ].data.attributes).to.deep.equal({});
+      expect(serialized.meta).to.deep.equal({ count: 1 });
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import chai from 'chai';
+import Kudu from 'kudu';
+import Serialize from '../src/serializer';
+
+let expect = chai.expect;
+
+describe('Pagination', () => {
+
+  let kudu;
+  let Model;
+  let instances;
+
+  let paginate = ( page ) =>
+    Serialize.toJSON(instances, { stringify: false, page });
+
+  beforeEach(() => {
+    kudu = new Kudu();
+    Model = kudu.createModel('test', {
+      properties: {
+        name: {
+          type: String,
+        },
+      },
+    });
+    instances = [
+      new Model({ name: '1', id: '1' }),
+    ];
+  });
+
+  describe('#toJSON', () => {
+
+    it('should build links for the page number strategy', () => {
+      let doc = paginate({
+        strategy: 'number',
+        params: { number: 2, size: 10 },
+        total: 35,
+        url: '/tests',
+      });
+      expect(doc.links).to.deep.equal({
+        self: '/tests?page%5Bnumber%5D=2&page%5Bsize%5D=10',
+        first: '/tests?page%5Bnumber%5D=1&page%5Bsize%5D=10',
+        prev: '/tests?page%5Bnumber%5D=1&page%5Bsize%5D=10',
+        next: '/tests?page%5Bnumber%5D=3&page%5Bsize%5D=10',
+        last: '/tests?page%5Bnumber%5D=4&page%5Bsize%5D=10',
+      });
+      expect(doc.meta).to.deep.equal({
+        page: { number: 2, size: 10, total: 35, totalPages: 4 },
+      });
+    });
+
+    it('should default to the first page for the page number strategy', () => {
+      let doc = paginate({ params: { size: '10' }, total: 5, url: '/tests' });
+      expect(doc.links.prev).to.equal(null);
+      expect(doc.links.next).to.equal(null);
+      expect(doc.meta.page.number).to.equal(1);
+    });
+
+    it('should use the "hasMore" flag when there is no total', () => {
+      let doc = paginate({ params: { number: 1, size: 10 }, hasMore: true, url: '/tests' });
+      expect(doc.links.next).to.equal('/tests?page%5Bnumber%5D=2&page%5Bsize%5D=10');
+      expect(doc.links.last).to.equal(null);
+      expect(doc.meta.page).to.deep.equal({ number: 1, size: 10, hasMore: true });
+    });
+
+    it('should not report whether there are more pages when it is not known', () => {
+      let doc = paginate({ params: { number: 1, size: 10 }, url: '/tests' });
+      expect(doc.links.next).to.equal('/tests?page%5Bnumber%5D=2&page%5Bsize%5D=10');
+      expect(doc.meta.page).to.deep.equal({ number: 1, size: 10 });
+      doc = paginate({ strategy: 'offset', params: { limit: 10 }, url: '/tests' });
+      expect(doc.links.next).to.equal('/tests?page%5Boffset%5D=10&page%5Blimit%5D=10');
+      expect(doc.meta.page).to.deep.equal({ offset: 0, limit: 10 });
+      doc = paginate({ strategy: 'cursor', params: { cursor: 'abc' } });
+      expect(doc.meta.page).to.deep.equal({ cursor: 'abc' });
+    });
+
+    it('should build links for the offset strategy', () => {
+      let doc = paginate({
+        strategy: 'offset',
+        params: { offset: 5, limit: 10 },
+        total: 30,
+        url: '/tests',
+      });
+      expect(doc.links).to.deep.equal({
+        self: '/tests?page%5Boffset%5D=5&page%5Blimit%5D=10',
+        first: '/tests?page%5Boffset%5D=0&page%5Blimit%5D=10',
+        prev: '/tests?page%5Boffset%5D=0&page%5Blimit%5D=10',
+        next: '/tests?page%5Boffset%5D=15&page%5Blimit%5D=10',
+        last: '/tests?page%5Boffset%5D=20&page%5Blimit%5D=10',
+      });
+      expect(doc.meta.page).to.deep.equal({ offset: 5, limit: 10, total: 30 });
+    });
+
+    it('should not link to a next page past the end for the offset strategy', () => {
+      let doc = paginate({
+        strategy: 'offset',
+        params: { offset: 20, limit: 10 },
+        total: 30,
+      });
+      expect(doc.links.next).to.equal(null);
+    });
+
+    it('should build links for the cursor strategy', () => {
+      let doc = paginate({
+        strategy: 'cursor',
+        params: { cursor: 'abc', size: 10 },
+        cursors: { prev: 'aaa', next: 'abd' },
+        url: '/tests',
+      });
+      expect(doc.links).to.deep.equal({
+        self: '/tests?page%5Bcursor%5D=abc&page%5Bsize%5D=10',
+        first: '/tests?page%5Bsize%5D=10',
+        prev: '/tests?page%5Bcursor%5D=aaa&page%5Bsize%5D=10',
+        next: '/tests?page%5Bcursor%5D=abd&page%5Bsize%5D=10',
+        last: null,
+      });
+      expect(doc.meta.page).to.deep.equal({ cursor: 'abc', size: 10, hasMore: true });
+    });
+
+    it('should not link to a next page for the cursor strategy when there are no more', () => {
+      let doc = paginate({
+        strategy: 'cursor',
+        params: { cursor: 'abc' },
+        cursors: { next: 'abd' },
+        hasMore: false,
+      });
+      expect(doc.links.next).to.equal(null);
+      expect(doc.meta.page.hasMore).to.equal(false);
+    });
+
+    it('should preserve other query parameters in the links', () => {
+      let doc = paginate({
+        params: { number: 1, size: 10 },
+        total: 5,
+        url: '/tests',
+        query: { sort: '-name' },
+      });
+      expect(doc.links.first).to.equal('/tests?sort=-name&page%5Bnumber%5D=1&page%5Bsize%5D=10');
+    });
+
+    it('should let explicit "links" and "meta" take precedence', () => {
+      let doc = Serialize.toJSON(instances, {
+        stringify: false,
+        page: { params: { size: 10 }, total: 5, url: '/tests' },
+        links: { self: '/custom' },
+        meta: { requestId: 'x' },
+      });
+      expect(doc.links.self).to.equal('/custom');
+      expect(doc.links.first).to.equal('/tests?page%5Bnumber%5D=1&page%5Bsize%5D=10');
+      expect(doc.meta).to.have.all.keys('page', 'requestId');
+    });
+
+    it('should throw for an unknown strategy', () => {
+      let test = () => paginate({ strategy: 'fake' });
+      expect(test).to.throw(Error, /"fake"/);
+    });
+
+    it('should throw for an invalid page size', () => {
+      let test = () => paginate({ params: { size: 'ten' } });
+      expect(test).to.throw(Error, /page\[size\]/);
+    });
+  });
+});
@@ -0,0 +1,190 @@
+import chai from 'chai';
+import Kudu from 'kudu';
+import Serialize from '../src/serializer';
+
+let expect = chai.expect;
+
+describe('Polymorphic relationships', () => {
+
+  let kudu;
+  let Comment;
+  let Post;
+  let Photo;
+
+  // Get the errors thrown by a function.
+  let errorsOf = ( fn ) => {
+    try {
+      fn();
+    } catch ( err ) {
+      return err.errors;
+    }
+    return [];
+  };
+
+  beforeEach(() => {
+    kudu = new Kudu();
+    Comment = kudu.createModel('comment', {
+      properties: {
+        body: {
+          type: String,
+        },
+      },
+      relationships: {
+        commentable: {
+          types: [ 'post', 'photo' ],
+          resolveType: ( id ) => id.indexOf('photo-') === 0 ? 'photo' : 'post',
+        },
+        related: { types: [ 'post', 'photo' ], hasMany: true },
+        author: { type: 'person' },
+      },
+    });
+    Post = kudu.createModel('post', {
+      properties: {
+        title: {
+          type: String,
+        },
+      },
+    });
+    Photo = kudu.createModel('photo', {
+      properties: {
+        url: {
+          type: String,
+        },
+      },
+    });
+    kudu.createModel('person', {
+      properties: {
+        name: {
+          type: String,
+        },
+      },
+    });
+  });
+
+  describe('#toJSON', () => {
+
+    it('should use the type of the related model instance', () => {
+      let instance = new Comment({
+        id: '1',
+        commentable: new Photo({ id: '2', url: '/a.png' }),
+        related: [ new Post({ id: '3' }), new Photo({ id: '4' }) ],
+      });
+      let serialized = JSON.parse(Serialize.toJSON(instance, { linkBuilder: false }));
+      expect(serialized.data.relationships.commentable.data).to.deep.equal({
+        id: '2',
+        type: 'photo',
+      });
+      expect(serialized.data.relationships.related.data).to.deep.equal([
+        { id: '3', type: 'post' },
+        { id: '4', type: 'photo' },
+      ]);
+      expect(serialized.included.map(( item ) => item.type)).to.deep.equal([
+        'photo',
+        'post',
+        'photo',
+      ]);
+    });
+
+    it('should use the type of a related model instance that differs from the schema', () => {
+      let Admin = kudu.createModel('admin', { properties: {} });
+      let instance = new Comment({ id: '1', author: new Admin({ id: '2' }) });
+      let serialized = Serialize.toJSON(instance, { stringify: false });
+      expect(serialized.data.relationships.author.data).to.deep.equal({
+        id: '2',
+        type: 'admin',
+      });
+    });
+
+    it('should resolve the type of an identifier', () => {
+      let instance = new Comment({ id: '1', commentable: 'photo-2' });
+      let serialized = Serialize.toJSON(instance, { stringify: false });
+      expect(serialized.data.relationships.commentable.data).to.deep.equal({
+        id: 'photo-2',
+        type: 'photo',
+      });
+    });
+
+    it('should throw if the type of an identifier cannot be determined', () => {
+      let instance = new Comment({ id: '1', related: [ '2' ] });
+      let test = () => Serialize.toJSON(instance);
+      expect(test).to.throw(Error, /related/);
+    });
+  });
+
+  describe('#fromJSON', () => {
+
+    it('should accept any of the allowed types', () => {
+      let instance = Serialize.fromJSON({
+        data: {
+          type: 'comment',
+          id: '1',
+          relationships: {
+            commentable: { data: { type: 'photo', id: '2' } },
+            related: { data: [ { type: 'post', id: '3' }, { type: 'photo', id: '4' } ] },
+          },
+        },
+        included: [
+          { type: 'photo', id: '2', attributes: { url: '/a.png' } },
+        ],
+      }, kudu);
+      expect(instance.commentable).to.be.an.instanceOf(Photo);
+      expect(instance.related).to.deep.equal([
+        { type: 'post', id: '3' },
+        { type: 'photo', id: '4' },
+      ]);
+    });
+
+    it('should read back the linkage of a polymorphic relationship it serialized', () => {
+      let instance = Serialize.fromJSON(Serialize.toJSON(new Comment({
+        id: '1',
+        related: [ new Post({ id: '3' }), new Photo({ id: '4' }) ],
+      }), { include: [] }), kudu);
+      let serialized = Serialize.toJSON(instance, { stringify: false });
+      expect(serialized.data.relationships.related.data).to.deep.equal([
+        { type: 'post', id: '3' },
+        { type: 'photo', id: '4' },
+      ]);
+    });
+
+    it('should reject types that are not allowed', () => {
+      let errors = errorsOf(() => Serialize.fromJSON({
+        data: {
+          type: 'comment',
+          id: '1',
+          relationships: {
+            commentable: { data: { type: 'person', id: '2' } },
+            author: { data: { type: 'post', id: '3' } },
+          },
+        },
+      }, kudu));
+      expect(errors.map(( error ) => error.source.pointer)).to.deep.equal([
+        '/data/relationships/commentable/data/type',
+        '/data/relationships/author/data/type',
+      ]);
+      expect(errors[ 0 ].status).to.equal(409);
+      expect(errors[ 0 ].message).to.equal('Expected a resource of type "post" or "photo".');
+    });
+  });
+
+  describe('#relationshipFromJSON', () => {
+
+    it('should check types against the allowed types', () => {
+      let errors = errorsOf(() => Serialize.relationshipFromJSON({
+        data: [ { type: 'post', id: '3' }, { type: 'person', id: '4' } ],
+      }, Comment, 'related', { method: 'POST' }));
+      expect(errors.map(( error ) => error.source.pointer)).to.deep.equal([
+        '/data/1/type',
+      ]);
+    });
+
+    it('should return the types of the related resources', () => {
+      let identifiers = Serialize.relationshipFromJSON({
+        data: [ { type: 'post', id: '3' }, { type: 'photo', id: '4' } ],
+      }, Comment, 'related', { method: 'POST' });
+      expect(identifiers).to.deep.equal([
+        { type: 'post', id: '3' },
+        { type: 'photo', id: '4' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+import chai from 'chai';
+import Kudu from 'kudu';
+import { Writable, pipeline } from 'stream';
+import { JsonApiSerializer } from '../src/serializer';
+
+let expect = chai.expect;
+
+const VERSION_EXT = 'https://example.com/ext/version';
+const TIMESTAMPS_PROFILE = 'https://example.com/profiles/timestamps';
+
+describe('Profiles and extensions', () => {
+
+  let kudu;
+  let Test;
+  let serializer;
+  let versionExt;
+  let timestampsProfile;
+
+  beforeEach(() => {
+    kudu = new Kudu();
+    Test = kudu.createModel('test', {
+      properties: {
+        name: {
+          type: String,
+        },
+      },
+    });
+    versionExt = {
+      ext: VERSION_EXT,
+      namespace: 'version',
+      resource: ( instance ) => ({ id: instance.version }),
+      document: () => ({ latest: 3 }),
+      readResource: ( members, instance ) => {
+        instance.version = members.id;
+      },
+      readDocument: ( members, result ) => {
+        versionExt.read = { members, result };
+      },
+    };
+    timestampsProfile = {
+      profile: TIMESTAMPS_PROFILE,
+      resource: ( instance ) => ({ updated: instance.updated }),
+      readResource: ( members, instance ) => {
+        instance.updated = members.updated;
+      },
+    };
+    serializer = new JsonApiSerializer({ stringify: false }).use(versionExt).use(timestampsProfile);
+  });
+
+  describe('#use', () => {
+
+    it('should throw if the plugin has no URI', () => {
+      let test = () => serializer.use({ namespace: 'x' });
+      expect(test).to.throw(Error, /"ext" or "profile"/);
+    });
+
+    it('should throw if an extension has an invalid namespace', () => {
+      let test = () => serializer.use({ ext: 'https://example.com/ext/x', namespace: 'a:b' });
+      expect(test).to.throw(Error, /namespace/);
+    });
+
+    it('should throw if an extension namespace is already in use', () => {
+      let test = () => serializer.use({ ext: 'https://example.com/ext/x', namespace: 'version' });
+      expect(test).to.throw(Error, /already in use/);
+    });
+
+    it('should return the serializer', () => {
+      let other = new JsonApiSerializer();
+      expect(other.use(versionExt)).to.equal(other);
+    });
+  });
+
+  describe('#toJSON', () => {
+
+    it('should add namespaced extension members to resources', () => {
+      let instance = new Test({ id: '1', name: 'a', version: 2 });
+      let doc = serializer.toJSON(instance);
+      expect(doc.data).to.have.property('version:id', 2);
+    });
+
+    it('should add profile members to resource meta', () => {
+      let instance = new Test({ id: '1', name: 'a', updated: 'today' });
+      let doc = serializer.toJSON(instance);
+      expect(doc.data.meta).to.deep.equal({ updated: 'today' });
+    });
+
+    it('should add namespaced extension members to the document', () => {
+      let doc = serializer.toJSON(new Test({ id: '1' }));
+      expect(doc).to.have.property('version:latest', 3);
+    });
+
+    it('should list the plugins in the jsonapi member', () => {
+      let doc = serializer.toJSON(new Test({ id: '1' }));
+      expect(doc.jsonapi).to.deep.equal({
+        version: '1.1',
+        ext: [ VERSION_EXT ],
+        profile: [ TIMESTAMPS_PROFILE ],
+      });
+    });
+
+    it('should merge the plugins with the jsonapi option', () => {
+      let doc = serializer.toJSON(new Test({ id: '1' }), {
+        jsonapi: { meta: { a: 1 } },
+      });
+      expect(doc.jsonapi).to.deep.equal({
+        version: '1.1',
+        meta: { a: 1 },
+        ext: [ VERSION_EXT ],
+        profile: [ TIMESTAMPS_PROFILE ],
+      });
+    });
+
+    it('should only apply the plugins given by the "ext" and "profile" options', () => {
+      let doc = serializer.toJSON(new Test({ id: '1', version: 2, updated: 'today' }), {
+        ext: [],
+        profile: [ TIMESTAMPS_PROFILE ],
+      });
+      expect(doc.data).not.to.have.property('version:id');
+      expect(doc).not.to.have.property('version:latest');
+      expect(doc.data.meta).to.deep.equal({ updated: 'today' });
+      expect(doc.jsonapi).to.deep.equal({
+        version: '1.1',
+        profile: [ TIMESTAMPS_PROFILE ],
+      });
+    });
+
+    it('should omit members with an undefined value', () => {
+      let doc = serializer.toJSON(new Test({ id: '1' }));
+      expect(doc.data).not.to.have.property('version:id');
+      expect(doc.data).not.to.have.property('meta');
+    });
+
+    it('should not add a jsonapi member without plugins', () => {
+      let doc = new JsonApiSerializer({ stringify: false }).toJSON(new Test({ id: '1' }));
+      expect(doc).not.to.have.property('jsonapi');
+    });
+  });
+
+  describe('#toJSONStream', () => {
+
+    it('should add the members of plugins to a streamed document', ( done ) => {
+      let json = '';
+      pipeline(serializer.toJSONStream([ new Test({ id: '1', version: 2 }) ]), new Writable({
+        write( chunk, encoding, callback ) {
+          json += chunk;
+          callback();
+        },
+      }), ( err ) => {
+        if ( err ) {
+          return done(err);
+        }
+        let doc = JSON.parse(json);
+        expect(doc.data[ 0 ]).to.have.property('version:id', 2);
+        expect(doc).to.have.property('version:latest', 3);
+        expect(doc.jsonapi.ext).to.deep.equal([ VERSION_EXT ]);
+        done();
+      });
+    });
+  });
+
+  describe('#fromJSON', () => {
+
+    it('should pass extension members to the plugin without their namespace', () => {
+      let instance = serializer.fromJSON({
+        data: { type: 'test', id: '1', 'version:id': 2 },
+      }, kudu);
+      expect(instance.version).to.equal(2);
+    });
+
+    it('should pass resource meta to profiles', () => {
+      let instance = serializer.fromJSON({
+        data: { type: 'test', id: '1', meta: { updated: 'today' } },
+      }, kudu);
+      expect(instance.updated).to.equal('today');
+    });
+
+    it('should pass top-level members to the plugin without their namespace', () => {
+      let instance = serializer.fromJSON({
+        data: { type: 'test', id: '1' },
+        'version:latest': 3,
+        meta: { updated: 'today' },
+      }, kudu);
+      expect(versionExt.read.members).to.deep.equal({ latest: 3 });
+      expect(versionExt.read.result).to.equal(instance);
+    });
+
+    it('should pass top-level meta to profiles', () => {
+      let members;
+      timestampsProfile.readDocument = ( meta ) => {
+        members = meta;
+      };
+      serializer.fromJSON({
+        data: { type: 'test', id: '1' },
+        meta: { updated: 'today' },
+      }, kudu);
+      expect(members).to.deep.equal({ updated: 'today' });
+    });
+
+    it('should pass top-level members of operations documents to the plugin', () => {
+      let operations = serializer.operationsFromJSON({
+        'atomic:operations': [
+          { op: 'add', data: { type: 'test', attributes: { name: 'a' } } },
+        ],
+        'version:latest': 3,
+      }, kudu);
+      expect(versionExt.read.members).to.deep.equal({ latest: 3 });
+      expect(versionExt.read.result).to.equal(operations);
+    });
+
+    it('should round-trip the members of plugins', () => {
+      let doc = serializer.toJSON(new Test({ id: '1', version: 2, updated: 'today' }));
+      let instance = serializer.fromJSON(JSON.stringify(doc), kudu);
+      expect(instance).to.have.property('version', 2);
+      expect(instance).to.have.property('updated', 'today');
+    });
+  });
+
+  describe('#negotiate', () => {
+
+    it('should support the extensions of the registered plugins', () => {
+      let result = serializer.negotiate({
+        contentType: `application/vnd.api+json; ext="${ VERSION_EXT }"`,
+      });
+      expect(result.status).to.equal(null);
+      expect(result.ext).to.deep.equal([ VERSION_EXT ]);
+    });
+
+    it('should reject extensions that have not been registered', () => {
+      let result = new JsonApiSerializer().negotiate({
+        contentType: `application/vnd.api+json; ext="${ VERSION_EXT }"`,
+      });
+      expect(result.status).to.equal(415);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import chai from 'chai';
+import Kudu from 'kudu';
+import Serialize from '../src/serializer';
+
+let expect = chai.expect;
+
+describe('Write protection', () => {
+
+  let kudu;
+
+  beforeEach(() => {
+    kudu = new Kudu();
+    kudu.createModel('test', {
+      properties: {
+        name: {
+          type: String,
+        },
+        createdAt: {
+          type: String,
+          readOnly: true,
+        },
+        slug: {
+          type: String,
+          createOnly: true,
+        },
+        score: {
+          type: Number,
+          writable: false,
+        },
+      },
+      relationships: {
+        owner: { type: 'user', readOnly: true },
+      },
+    });
+  });
+
+  let doc = ( attributes, relationships ) => ({
+    data: { type: 'test', id: '1', attributes, relationships },
+  });
+
+  describe('#fromJSON', () => {
+
+    it('should allow writable properties', () => {
+      let instance = Serialize.fromJSON(doc({ name: 'test' }), kudu, { method: 'PATCH' });
+      expect(instance).to.have.property('name', 'test');
+    });
+
+    it('should reject read-only properties', () => {
+      let test = () => Serialize.fromJSON(doc({ createdAt: 'now', score: 1 }), kudu, {
+        method: 'PATCH',
+      });
+      expect(test).to.throw(Error);
+      try {
+        test();
+      } catch ( err ) {
+        expect(err.errors.map(( e ) => e.source.pointer)).to.deep.equal([
+          '/data/attributes/createdAt',
+          '/data/attributes/score',
+        ]);
+        expect(err.status).to.equal(403);
+      }
+    });
+
+    it('should reject read-only relationships', () => {
+      let test = () => Serialize.fromJSON(doc({}, {
+        owner: { data: { type: 'user', id: '2' } },
+      }), kudu, { method: 'PATCH' });
+      expect(test).to.throw(Error);
+      try {
+        test();
+      } catch ( err ) {
+        expect(err.errors[ 0 ].source.pointer).to.equal('/data/relationships/owner');
+      }
+    });
+
+    it('should allow create-only properties when the method is POST', () => {
+      let instance = Serialize.fromJSON(doc({ slug: 'a' }), kudu, { method: 'post' });
+      expect(instance).to.have.property('slug', 'a');
+    });
+
+    it('should reject create-only properties when the method is PATCH', () => {
+      let test = () => Serialize.fromJSON(doc({ slug: 'a' }), kudu, { method: 'PATCH' });
+      expect(test).to.throw(Error);
+    });
+
+    it('should strip protected members when the relevant option is set', () => {
+      let instance = Serialize.fromJSON(doc({ name: 'test', createdAt: 'now' }), kudu, {
+        method: 'PATCH',
+        protect: 'strip',
+      });
+      expect(instance).to.have.property('name', 'test');
+      expect(instance).to.not.have.property('createdAt');
+    });
+
+    it('should allow different behaviour for each method', () => {
+      let protect = { POST: 'strip', PATCH: 'reject' };
+      let instance = Serialize.fromJSON(doc({ createdAt: 'now' }), kudu, {
+        method: 'POST',
+        protect,
+      });
+      let test = () => Serialize.fromJSON(doc({ createdAt: 'now' }), kudu, {
+        method: 'PATCH',
+        protect,
+      });
+      expect(instance).to.not.have.property('createdAt');
+      expect(test).to.throw(Error);
+    });
+
+    it('should read back a document built by "toJSON" when no method is given', () => {
+      let Model = kudu.getModel('test');
+      let json = Serialize.toJSON(new Model({
+        id: '1',
+        name: 'test',
+        createdAt: 'now',
+        slug: 'a',
+        owner: '2',
+      }));
+      let instance = Serialize.fromJSON(json, kudu);
+      expect(instance).to.include({ name: 'test', createdAt: 'now', slug: 'a', owner: '2' });
+    });
+
+    it('should throw an error that can be serialized by "errorsToJSON"', () => {
+      try {
+        Serialize.fromJSON({
+          data: [
+            { type: 'test', id: '1', attributes: { name: 'a' } },
+            { type: 'test', id: '2', attributes: { slug: 'b' } },
+          ],
+        }, kudu, { method: 'PATCH' });
+      } catch ( err ) {
+        expect(JSON.parse(Serialize.errorsToJSON(err))).to.deep.equal({
+          errors: [
+            {
+              status: '403',
+              detail: '"slug" can only be set when the resource is created.',
+              source: { pointer: '/data/1/attributes/slug' },
+            },
+          ],
+        });
+        return;
+      }
+      throw new Error('Expected an error.');
+    });
+  });
+});
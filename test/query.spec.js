@@ -0,0 +1,180 @@
+import chai from 'chai';
+import Kudu from 'kudu';
+import Serialize from '../src/serializer';
+
+let expect = chai.expect;
+
+describe('Query parameters', () => {
+
+  let kudu;
+  let Post;
+
+  // Get the "source.parameter" of the errors thrown by a function.
+  let parameters = ( fn ) => {
+    try {
+      fn();
+    } catch ( err ) {
+      return err.errors.map(( error ) => error.source.parameter);
+    }
+    return [];
+  };
+
+  beforeEach(() => {
+    kudu = new Kudu();
+    Post = kudu.createModel('post', {
+      properties: {
+        title: {
+          type: String,
+        },
+        createdAt: {
+          type: Date,
+        },
+      },
+      relationships: {
+        author: { type: 'person' },
+        comments: { type: 'comment', hasMany: true },
+      },
+    });
+    kudu.createModel('person', {
+      properties: {
+        name: {
+          type: String,
+        },
+      },
+    });
+    kudu.createModel('comment', {
+      properties: {
+        body: {
+          type: String,
+        },
+      },
+      relationships: {
+        author: { type: 'person' },
+      },
+    });
+  });
+
+  describe('#parseQuery', () => {
+
+    it('should parse a query string', () => {
+      let query = Serialize.parseQuery(
+        '?include=author,comments.author&fields[post]=title,author&fields[person]=name' +
+        '&sort=-created-at,title&page[number]=2&page[size]=10&filter[title]=news',
+        kudu,
+        { type: 'post', keyFormat: 'kebab' }
+      );
+      expect(query).to.deep.equal({
+        include: [ 'author', 'comments.author' ],
+        fields: { post: [ 'title', 'author' ], person: [ 'name' ] },
+        sort: [
+          { key: 'createdAt', member: 'created-at', descending: true },
+          { key: 'title', member: 'title', descending: false },
+        ],
+        page: { strategy: 'number', params: { number: 2, size: 10 } },
+        filter: { title: 'news' },
+      });
+    });
+
+    it('should parse nested query objects', () => {
+      let query = Serialize.parseQuery({
+        fields: { post: 'title' },
+        page: { offset: '20', limit: '10' },
+      }, kudu);
+      expect(query).to.deep.equal({
+        fields: { post: [ 'title' ] },
+        page: { strategy: 'offset', params: { offset: 20, limit: 10 } },
+      });
+    });
+
+    it('should return errors with the offending parameter', () => {
+      let test = () => Serialize.parseQuery({
+        include: 'author,comments.post',
+        'fields[post]': 'title,body',
+        'fields[photo]': 'url',
+        sort: 'author',
+        'page[number]': 'two',
+        'page[size]': '10',
+        'filter[colour]': 'red',
+      }, kudu, { type: 'post' });
+      expect(parameters(test)).to.deep.equal([
+        'include',
+        'fields[post]',
+        'fields[photo]',
+        'sort',
+        'page[number]',
+        'filter[colour]',
+      ]);
+    });
+
+    it('should reject page parameters of different strategies', () => {
+      let test = () => Serialize.parseQuery('page[number]=1&page[offset]=0', kudu);
+      expect(parameters(test)).to.deep.equal([ 'page' ]);
+    });
+
+    it('should reject parameter families given without members', () => {
+      let test = () => Serialize.parseQuery('fields=title&filter=x&page=2', kudu, {
+        type: 'post',
+      });
+      expect(parameters(test)).to.deep.equal([ 'fields', 'page', 'filter' ]);
+    });
+
+    it('should use a default page size when none is given', () => {
+      expect(Serialize.parseQuery('page[number]=2', kudu).page).to.deep.equal({
+        strategy: 'number',
+        params: { size: 10, number: 2 },
+      });
+      expect(Serialize.parseQuery('page[offset]=20', kudu, {
+        defaultPageSize: 25,
+      }).page.params).to.deep.equal({ limit: 25, offset: 20 });
+      expect(Serialize.parseQuery('page[cursor]=abc', kudu).page.params)
+        .to.deep.equal({ cursor: 'abc' });
+    });
+
+    it('should reject page parameters below their minimum', () => {
+      expect(parameters(() => Serialize.parseQuery('page[number]=0&page[size]=0', kudu)))
+        .to.deep.equal([ 'page[number]', 'page[size]' ]);
+      expect(parameters(() => Serialize.parseQuery('page[offset]=0&page[limit]=1', kudu)))
+        .to.deep.equal([]);
+    });
+
+    it('should produce page options that "toJSON" accepts', () => {
+      let options = Serialize.parseQuery('page[number]=2&page[size]=1', kudu);
+      let serialized = Serialize.toJSON([ new Post({ id: '1' }) ], Object.assign({
+        stringify: false,
+      }, options));
+      expect(serialized.meta.page).to.include({ number: 2, size: 1 });
+    });
+
+    it('should produce errors that can be serialized by "errorsToJSON"', () => {
+      try {
+        Serialize.parseQuery('include=editor', kudu, { type: 'post' });
+      } catch ( err ) {
+        expect(JSON.parse(Serialize.errorsToJSON(err)).errors).to.deep.equal([
+          {
+            status: '400',
+            detail: 'The include path "editor" has no relationship "editor".',
+            source: { parameter: 'include' },
+          },
+        ]);
+        return;
+      }
+      throw new Error('Expected an error.');
+    });
+
+    it('should produce options for "toJSON"', () => {
+      let options = Serialize.parseQuery('include=author&fields[post]=title', kudu, {
+        type: 'post',
+      });
+      let instance = new Post({
+        id: '1',
+        title: 'Post',
+        createdAt: new Date(0),
+        author: new (kudu.getModel('person'))({ id: '2', name: 'Name' }),
+      });
+      let serialized = Serialize.toJSON(instance, Object.assign({ stringify: false }, options));
+      expect(serialized.data.attributes).to.deep.equal({ title: 'Post' });
+      expect(serialized.data).to.not.have.property('relationships');
+      expect(serialized.included).to.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,265 @@
+import chai from 'chai';
+import Kudu from 'kudu';
+import Serialize from '../src/serializer';
+
+let expect = chai.expect;
+
+describe('Relationships', () => {
+
+  let kudu;
+  let Model;
+  let Child;
+
+  beforeEach(() => {
+    kudu = new Kudu();
+    Model = kudu.createModel('test', {
+      properties: {
+        name: {
+          type: String,
+        },
+      },
+      relationships: {
+        children: { type: 'child', hasMany: true },
+        child: { type: 'child' },
+        hidden: { type: 'child', public: false },
+        owner: { type: 'child', readOnly: true },
+      },
+    });
+    Child = kudu.createModel('child', {
+      properties: {
+        name: {
+          type: String,
+        },
+      },
+    });
+  });
+
+  describe('#relationshipToJSON', () => {
+
+    it('should serialize to-many resource linkage', () => {
+      let instance = new Model({
+        id: '1',
+        children: [ new Child({ id: '2' }), '3' ],
+      });
+      let serialized = Serialize.relationshipToJSON(instance, 'children');
+      expect(JSON.parse(serialized)).to.deep.equal({
+        links: {
+          self: '/tests/1/relationships/children',
+          related: '/tests/1/children',
+        },
+        data: [
+          { id: '2', type: 'child' },
+          { id: '3', type: 'child' },
+        ],
+      });
+    });
+
+    it('should serialize to-one resource linkage', () => {
+      let instance = new Model({ id: '1', child: '2' });
+      let serialized = Serialize.relationshipToJSON(instance, 'child', { stringify: false });
+      expect(serialized.data).to.deep.equal({ id: '2', type: 'child' });
+    });
+
+    it('should serialize empty relationships', () => {
+      let instance = new Model({ id: '1' });
+      expect(Serialize.relationshipToJSON(instance, 'children', { stringify: false }).data)
+        .to.deep.equal([]);
+      expect(Serialize.relationshipToJSON(instance, 'child', { stringify: false }).data)
+        .to.equal(null);
+    });
+
+    it('should apply link and top-level options', () => {
+      let instance = new Model({ id: '1', child: '2' });
+      let serialized = Serialize.relationshipToJSON(instance, 'child', {
+        stringify: false,
+        linkBuilder: { baseUrl: '/api' },
+        meta: { count: 1 },
+      });
+      expect(serialized.links.self).to.equal('/api/tests/1/relationships/child');
+      expect(serialized.meta).to.deep.equal({ count: 1 });
+    });
+
+    it('should throw for an unknown relationship', () => {
+      let test = () => Serialize.relationshipToJSON(new Model({ id: '1' }), 'fake');
+      expect(test).to.throw(Error, /"fake"/);
+    });
+
+    it('should throw for a relationship that is not visible', () => {
+      let test = () => Serialize.relationshipToJSON(new Model({ id: '1' }), 'hidden');
+      expect(test).to.throw(Error, /"hidden"/);
+    });
+  });
+
+  describe('#toJSON', () => {
+
+    let Post;
+
+    beforeEach(() => {
+      Post = kudu.createModel('post', {
+        properties: {
+          title: {
+            type: String,
+          },
+        },
+        relationships: {
+          author: { type: 'child' },
+          comments: {
+            type: 'child',
+            hasMany: true,
+            linkage: 'never',
+            meta: ( instance ) => ( { count: instance.commentCount } ),
+          },
+          tags: { type: 'child', hasMany: true, linkage: 'always' },
+          editor: { type: 'child', linkage: 'always', meta: { role: 'editor' } },
+        },
+      });
+    });
+
+    it('should only include the linkage of loaded relationships by default', () => {
+      let serialized = Serialize.toJSON(new Post({ id: '1' }), {
+        stringify: false,
+        linkBuilder: false,
+      });
+      expect(serialized.data.relationships).to.not.have.property('author');
+    });
+
+    it('should produce valid documents when links are disabled', () => {
+      let serialized = Serialize.toJSON(new Post({ id: '1' }), { linkBuilder: false });
+      expect(Serialize.validate(serialized)).to.deep.equal([]);
+    });
+
+    it('should include the linkage of relationships known to be empty', () => {
+      let instance = new Post({ id: '1', author: null });
+      let serialized = Serialize.toJSON(instance, { stringify: false, linkBuilder: false });
+      expect(serialized.data.relationships.author).to.deep.equal({ data: null });
+    });
+
+    it('should always include the linkage if configured', () => {
+      let instance = new Post({ id: '1' });
+      let serialized = Serialize.toJSON(instance, { stringify: false, linkBuilder: false });
+      expect(serialized.data.relationships.tags).to.deep.equal({ data: [] });
+      expect(serialized.data.relationships.editor).to.deep.equal({
+        data: null,
+        meta: { role: 'editor' },
+      });
+    });
+
+    it('should never include the linkage or related resources if configured', () => {
+      let instance = new Post({
+        id: '1',
+        commentCount: 42,
+        comments: [ new Child({ id: '2' }) ],
+      });
+      let serialized = Serialize.toJSON(instance, { stringify: false });
+      expect(serialized.data.relationships.comments).to.deep.equal({
+        links: {
+          self: '/posts/1/relationships/comments',
+          related: '/posts/1/comments',
+        },
+        meta: { count: 42 },
+      });
+      expect(serialized).to.not.have.property('included');
+    });
+
+    it('should throw for an unknown linkage', () => {
+      Post.schema.relationships.author.linkage = 'sometimes';
+      let test = () => Serialize.toJSON(new Post({ id: '1' }));
+      expect(test).to.throw(Error, /Unknown linkage "sometimes"/);
+    });
+
+    it('should include the linkage and meta at a relationship URL', () => {
+      let instance = new Post({ id: '1', commentCount: 1, comments: [ '2' ] });
+      let serialized = Serialize.relationshipToJSON(instance, 'comments', {
+        stringify: false,
+        meta: { page: 1 },
+      });
+      expect(serialized.data).to.deep.equal([ { id: '2', type: 'child' } ]);
+      expect(serialized.meta).to.deep.equal({ count: 1, page: 1 });
+    });
+  });
+
+  describe('#relationshipFromJSON', () => {
+
+    it('should return the identifiers of a to-many relationship', () => {
+      let ids = Serialize.relationshipFromJSON({
+        data: [
+          { type: 'child', id: '2' },
+          { type: 'child', id: '3' },
+        ],
+      }, Model, 'children', { method: 'POST' });
+      expect(ids).to.deep.equal([ '2', '3' ]);
+    });
+
+    it('should accept a JSON string and a model instance', () => {
+      let json = JSON.stringify({ data: [] });
+      let ids = Serialize.relationshipFromJSON(json, new Model(), 'children', {
+        method: 'DELETE',
+      });
+      expect(ids).to.deep.equal([]);
+    });
+
+    it('should accept a document built by "relationshipToJSON"', () => {
+      let doc = Serialize.relationshipToJSON(new Model({ id: '1', child: '2' }), 'child', {
+        stringify: false,
+      });
+      expect(Serialize.relationshipFromJSON(doc, Model, 'child')).to.equal('2');
+    });
+
+    it('should return the identifier of a to-one relationship', () => {
+      let id = Serialize.relationshipFromJSON({
+        data: { type: 'child', id: '2' },
+      }, Model, 'child');
+      expect(id).to.equal('2');
+    });
+
+    it('should return null to clear a to-one relationship', () => {
+      let id = Serialize.relationshipFromJSON({ data: null }, Model, 'child');
+      expect(id).to.equal(null);
+    });
+
+    it('should reject a POST or DELETE to a to-one relationship', () => {
+      let test = () => Serialize.relationshipFromJSON({ data: null }, Model, 'child', {
+        method: 'POST',
+      });
+      expect(test).to.throw(Error);
+    });
+
+    it('should reject a to-many relationship without an array', () => {
+      try {
+        Serialize.relationshipFromJSON({ data: null }, Model, 'children');
+      } catch ( err ) {
+        expect(err.errors[ 0 ].source.pointer).to.equal('/data');
+        return;
+      }
+      throw new Error('Expected an error.');
+    });
+
+    it('should reject identifiers of the wrong type with a conflict', () => {
+      try {
+        Serialize.relationshipFromJSON({
+          data: [ { type: 'child', id: '2' }, { type: 'test', id: '3' } ],
+        }, Model, 'children');
+      } catch ( err ) {
+        expect(JSON.parse(Serialize.errorsToJSON(err)).errors).to.deep.equal([
+          {
+            status: '409',
+            detail: 'Expected a resource of type "child".',
+            source: { pointer: '/data/1/type' },
+          },
+        ]);
+        return;
+      }
+      throw new Error('Expected an error.');
+    });
+
+    it('should reject updates to a read-only relationship', () => {
+      let test = () => Serialize.relationshipFromJSON({ data: null }, Model, 'owner');
+      expect(test).to.throw(Error);
+    });
+
+    it('should throw for an unknown relationship', () => {
+      let test = () => Serialize.relationshipFromJSON({ data: [] }, Model, 'fake');
+      expect(test).to.throw(Error, /"fake"/);
+    });
+  });
+});
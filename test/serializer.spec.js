@@ -1,6 +1,6 @@
 import chai from 'chai';
 import Kudu from 'kudu';
-import Serialize from '../src/serializer';
+import Serialize, { JsonApiSerializer } from '../src/serializer';
 
 let expect = chai.expect;
 
@@ -153,10 +153,7 @@ describe('Serializer', () => {
     it('should not include relationship "links" when the instance has no identifier', () => {
       let instance = new Model({ name: 'test' });
       let serialized = Serialize.toJSON(instance, { requireId: false });
-      expect(JSON.parse(serialized).data.relationships).to.deep.equal({
-        children: {},
-        child: {},
-      });
+      expect(JSON.parse(serialized).data).to.not.have.property('relationships');
     });
 
     it('should include a resource identifier for relationships where possible', () => {
@@ -435,11 +432,345 @@ describe('Serializer', () => {
       ]);
     });
 
+    it('should merge the members of every occurrence of an included resource', () => {
+      let instance = new Model({
+        name: 'test',
+        id: '1',
+        children: [
+          new Child({ id: '2', name: 'child1' }),
+          new Child({ id: '2', deep: new SingleChild({ id: '3', name: 'deep' }) }),
+        ],
+      });
+      let serialized = Serialize.toJSON(instance);
+      let included = JSON.parse(serialized).included;
+      expect(included.map(( item ) => item.id)).to.deep.equal([ '3', '2' ]);
+      expect(included[ 1 ].attributes).to.deep.equal({ name: 'child1' });
+      expect(included[ 1 ].relationships.deep.data).to.deep.equal({
+        type: 'single',
+        id: '3',
+      });
+    });
+
+    it('should not include resources that are part of the primary data', () => {
+      let single = new SingleChild({ id: '2', name: 'child' });
+      let instances = [
+        new Model({ name: 'test', id: '1', child: single }),
+        single,
+      ];
+      let serialized = Serialize.toJSON(instances);
+      expect(JSON.parse(serialized)).to.not.have.property('included');
+    });
+
+    it('should merge included occurrences into the primary data', () => {
+      let instances = [
+        new Child({ id: '2', name: 'child' }),
+        new Model({
+          name: 'test',
+          id: '1',
+          children: [
+            new Child({ id: '2', deep: '3' }),
+          ],
+        }),
+      ];
+      let serialized = Serialize.toJSON(instances);
+      let doc = JSON.parse(serialized);
+      expect(doc).to.not.have.property('included');
+      expect(doc.data[ 0 ].relationships.deep.data).to.deep.equal({
+        type: 'single',
+        id: '3',
+      });
+    });
+
+    it('should de-duplicate large numbers of included resources in linear time', function () {
+      // The previous implementation compared every included resource with
+      // every other, which took around 20 seconds for this many resources.
+      this.timeout(10000);
+      let count = 20000;
+      let instances = [];
+      for ( let i = 0; i < count; i++ ) {
+        instances.push(new Model({
+          name: `${ i }`,
+          id: `${ i }`,
+          child: new SingleChild({ id: `${ i }`, name: 'child' }),
+          children: [
+            new Child({ id: `${ i }`, name: 'child' }),
+            new Child({ id: `${ ( i + 1 ) % count }`, name: 'child' }),
+          ],
+        }));
+      }
+      let start = Date.now();
+      let serialized = Serialize.toJSON(instances, { stringify: false });
+      let duration = Date.now() - start;
+      expect(serialized.included).to.have.length(count * 2);
+      expect(duration).to.be.below(5000);
+    });
+
     it('should not include an "includes" key when there are no nested instances', () => {
       let instance = new Model({ name: 'test', id: '1' });
       let serialized = Serialize.toJSON(instance);
       expect(JSON.parse(serialized)).not.to.have.property('included');
     });
+
+    it('should include resources nested in to-one relationships', () => {
+      let instance = new Child({
+        id: '1',
+        name: 'child',
+        deep: new Model({
+          id: '2',
+          name: 'test',
+          child: new SingleChild({ id: '3', name: 'single' }),
+        }),
+      });
+      let serialized = Serialize.toJSON(instance);
+      expect(JSON.parse(serialized).included.map(( item ) => item.id))
+        .to.deep.equal([ '3', '2' ]);
+    });
+
+    it('should handle relationships that form a cycle', () => {
+      let Post = kudu.createModel('post', {
+        properties: { title: { type: String } },
+        relationships: {
+          author: { type: 'author' },
+          comments: { type: 'comment', hasMany: true },
+        },
+      });
+      let Comment = kudu.createModel('comment', {
+        properties: { body: { type: String } },
+        relationships: { post: { type: 'post' } },
+      });
+      let Author = kudu.createModel('author', {
+        properties: { name: { type: String } },
+        relationships: { posts: { type: 'post', hasMany: true } },
+      });
+      let post = new Post({ id: '1', title: 'post' });
+      let author = new Author({ id: '2', name: 'author', posts: [ post ] });
+      let comment = new Comment({ id: '3', body: 'comment', post });
+      post.author = author;
+      post.comments = [ comment ];
+      let serialized = JSON.parse(Serialize.toJSON(post));
+      expect(serialized.included.map(( item ) => `${ item.type }:${ item.id }`))
+        .to.deep.equal([ 'author:2', 'comment:3' ]);
+      expect(serialized.included[ 0 ].relationships.posts.data)
+        .to.deep.equal([ { id: '1', type: 'post' } ]);
+    });
+
+    it('should not follow relationships beyond the maximum depth', () => {
+      let instance = new Model({
+        name: 'test',
+        id: '1',
+        children: [
+          new Child({ id: '2', name: 'child1', deep: new SingleChild({ id: '4', name: 'deep1' }) }),
+        ],
+      });
+      let serialized = Serialize.toJSON(instance, { maxDepth: 1 });
+      expect(JSON.parse(serialized).included.map(( item ) => item.id))
+        .to.deep.equal([ '2' ]);
+    });
+
+    it('should follow a resource again when it is reached along a shorter path', () => {
+      let Post = kudu.createModel('post', {
+        properties: {},
+        relationships: {
+          comments: { type: 'comment', hasMany: true },
+          author: { type: 'person' },
+        },
+      });
+      let Comment = kudu.createModel('comment', {
+        properties: {},
+        relationships: { author: { type: 'person' } },
+      });
+      let Person = kudu.createModel('person', {
+        properties: {},
+        relationships: { company: { type: 'company' } },
+      });
+      let Company = kudu.createModel('company', { properties: {} });
+      let author = new Person({ id: 'p1', company: new Company({ id: 'c1' }) });
+      let post = new Post({
+        id: '1',
+        comments: [ new Comment({ id: 'm1', author }) ],
+        author,
+      });
+      let serialized = Serialize.toJSON(post, { maxDepth: 2, stringify: false });
+      expect(serialized.included.map(( item ) => `${ item.type }:${ item.id }`))
+        .to.have.members([ 'comment:m1', 'person:p1', 'company:c1' ]);
+    });
+
+    it('should follow a resource again when it is reached along a different include path', () => {
+      let deep = new SingleChild({ id: '4', name: 'deep' });
+      let child = new Child({ id: '2', name: 'child', deep });
+      let instance = new Model({
+        name: 'test',
+        id: '1',
+        children: [ child ],
+        child: new Child({ id: '3', name: 'other', deep: child }),
+      });
+      let serialized = Serialize.toJSON(instance, {
+        include: 'children,child.deep.deep',
+      });
+      expect(JSON.parse(serialized).included.map(( item ) => item.id))
+        .to.have.members([ '2', '3', '4' ]);
+    });
+
+    it('should only include the fields named in a sparse fieldset', () => {
+      let Post = kudu.createModel('post', {
+        properties: {
+          title: { type: String },
+          body: { type: String },
+        },
+        relationships: {
+          author: { type: 'single' },
+        },
+      });
+      let instance = new Post({ id: '1', title: 'title', body: 'body' });
+      let serialized = Serialize.toJSON(instance, {
+        fields: { post: [ 'title', 'author' ] },
+      });
+      let data = JSON.parse(serialized).data;
+      expect(data.attributes).to.deep.equal({ title: 'title' });
+      expect(data.relationships).to.have.all.keys('author');
+    });
+
+    it('should accept a sparse fieldset as a comma-separated string', () => {
+      let instance = new Model({ name: 'test', id: '1' });
+      let serialized = Serialize.toJSON(instance, { fields: { test: 'child' } });
+      let data = JSON.parse(serialized).data;
+      expect(data.attributes).to.deep.equal({});
+      expect(data.relationships).to.have.all.keys('child');
+    });
+
+    it('should not include a "relationships" key when a sparse fieldset excludes them all', () => {
+      let instance = new Model({ name: 'test', id: '1' });
+      let serialized = Serialize.toJSON(instance, { fields: { test: 'name' } });
+      expect(JSON.parse(serialized).data).to.not.have.property('relationships');
+    });
+
+    it('should include all fields for types without a sparse fieldset', () => {
+      let instance = new Model({ name: 'test', id: '1' });
+      let serialized = Serialize.toJSON(instance, { fields: { child: 'name' } });
+      let data = JSON.parse(serialized).data;
+      expect(data.attributes).to.deep.equal({ name: 'test' });
+      expect(data.relationships).to.have.all.keys('child', 'children');
+    });
+
+    it('should only include related resources on the requested include paths', () => {
+      let instance = new Model({
+        name: 'test',
+        id: '1',
+        child: new SingleChild({ id: '2', name: 'child' }),
+        children: [
+          new Child({ id: '3', name: 'child1' }),
+        ],
+      });
+      let serialized = JSON.parse(Serialize.toJSON(instance, { include: [ 'child' ] }));
+      expect(serialized.included).to.deep.equal([
+        {
+          type: 'single',
+          id: '2',
+          attributes: { name: 'child' },
+        },
+      ]);
+      expect(serialized.data.relationships.children.data).to.deep.equal([
+        { id: '3', type: 'child' },
+      ]);
+    });
+
+    it('should follow nested include paths', () => {
+      let instance = new Model({
+        name: 'test',
+        id: '1',
+        child: new SingleChild({ id: '2', name: 'child' }),
+        children: [
+          new Child({ id: '3', name: 'child1', deep: new SingleChild({ id: '4', name: 'deep' }) }),
+        ],
+      });
+      let serialized = Serialize.toJSON(instance, { include: 'children.deep' });
+      expect(JSON.parse(serialized).included.map(( item ) => item.id))
+        .to.deep.equal([ '4', '3' ]);
+    });
+
+    it('should not include any related resources for an empty include list', () => {
+      let instance = new Model({
+        name: 'test',
+        id: '1',
+        child: new SingleChild({ id: '2', name: 'child' }),
+      });
+      let serialized = Serialize.toJSON(instance, { include: [] });
+      expect(JSON.parse(serialized)).to.not.have.property('included');
+    });
+
+    it('should include top-level "meta" and "links" when provided', () => {
+      let instances = [
+        new Model({ name: '1', id: '1' }),
+      ];
+      let serialized = Serialize.toJSON(instances, {
+        meta: { total: 10 },
+        links: { self: '/tests', next: '/tests?page[number]=2' },
+      });
+      let doc = JSON.parse(serialized);
+      expect(doc.meta).to.deep.equal({ total: 10 });
+      expect(doc.links).to.deep.equal({
+        self: '/tests',
+        next: '/tests?page[number]=2',
+      });
+    });
+
+    it('should not include top-level "meta", "links" or "jsonapi" by default', () => {
+      let instance = new Model({ name: 'test', id: '1' });
+      let serialized = Serialize.toJSON(instance);
+      expect(JSON.parse(serialized)).to.have.all.keys('data');
+    });
+
+    it('should include a "jsonapi" member when the relevant flag is set', () => {
+      let instance = new Model({ name: 'test', id: '1' });
+      let serialized = Serialize.toJSON(instance, { jsonapi: true });
+      expect(JSON.parse(serialized).jsonapi).to.deep.equal({ version: '1.0' });
+    });
+
+    it('should use a provided "jsonapi" object', () => {
+      let instance = new Model({ name: 'test', id: '1' });
+      let jsonapi = { version: '1.0', meta: { server: 'test' } };
+      let serialized = Serialize.toJSON(instance, { jsonapi });
+      expect(JSON.parse(serialized).jsonapi).to.deep.equal(jsonapi);
+    });
+
+    it('should add resource-level "meta" and "links" from the relevant hooks', () => {
+      let instance = new Model({
+        name: 'test',
+        id: '1',
+        child: new SingleChild({ id: '2', name: 'child' }),
+      });
+      let serialized = Serialize.toJSON(instance, {
+        resourceMeta: ( item ) => item.id === '1' ? { version: 3 } : null,
+        resourceLinks: ( item ) => ({
+          self: `/${ item.constructor.plural }/${ item.id }`,
+        }),
+      });
+      let doc = JSON.parse(serialized);
+      expect(doc.data.meta).to.deep.equal({ version: 3 });
+      expect(doc.data.links).to.deep.equal({ self: '/tests/1' });
+      expect(doc.included[ 0 ]).to.not.have.property('meta');
+      expect(doc.included[ 0 ].links).to.deep.equal({ self: '/singles/2' });
+    });
+
+    it('should apply sparse fieldsets to included resources', () => {
+      let instances = [
+        new Model({
+          name: 'test',
+          id: '1',
+          children: [
+            new Child({ id: '2', name: 'child1' }),
+          ],
+        }),
+      ];
+      let serialized = Serialize.toJSON(instances, { fields: { child: [] } });
+      expect(JSON.parse(serialized).included).to.deep.equal([
+        {
+          type: 'child',
+          id: '2',
+          attributes: {},
+        },
+      ]);
+    });
   });
 
   describe('#errorsToJSON', () => {
@@ -468,5 +799,282 @@ describe('Serializer', () => {
       let serialized = Serialize.errorsToJSON(errors);
       expect(JSON.parse(serialized).errors).to.be.an('array');
     });
+
+    it('should include all error object members present on the error', () => {
+      let error = new Error('test');
+      Object.assign(error, {
+        id: '1',
+        links: { about: '/errors/1' },
+        status: 422,
+        code: 'E_TEST',
+        title: 'Test',
+        source: { pointer: '/data/attributes/name' },
+        meta: { retry: false },
+        ignored: true,
+      });
+      let serialized = Serialize.errorsToJSON(error);
+      expect(JSON.parse(serialized).errors).to.deep.equal([
+        {
+          id: '1',
+          links: { about: '/errors/1' },
+          status: '422',
+          code: 'E_TEST',
+          title: 'Test',
+          detail: 'test',
+          source: { pointer: '/data/attributes/name' },
+          meta: { retry: false },
+        },
+      ]);
+    });
+
+    it('should prefer a "detail" property to the error message', () => {
+      let serialized = Serialize.errorsToJSON({ message: 'test', detail: 'detail' });
+      expect(JSON.parse(serialized).errors[ 0 ].detail).to.equal('detail');
+    });
+
+    it('should convert the "status" property to a string', () => {
+      let error = new Error('test');
+      error.status = 404;
+      let serialized = Serialize.errorsToJSON(error, false);
+      expect(serialized.errors[ 0 ].status).to.equal('404');
+    });
+
+    it('should use a registered mapper for instances of an error class', () => {
+      function MultiError( message ) {
+        this.message = message;
+      }
+      MultiError.prototype = Object.create(Error.prototype);
+      let serializer = new JsonApiSerializer();
+      serializer.registerErrorMapper(MultiError, ( error ) => [
+        { message: `${ error.message } 1` },
+        { message: `${ error.message } 2` },
+      ]);
+      let error = new MultiError('test');
+      let serialized = serializer.errorsToJSON([ error, new Error('other') ]);
+      expect(JSON.parse(serialized).errors).to.deep.equal([
+        { detail: 'test 1' },
+        { detail: 'test 2' },
+        { detail: 'other' },
+      ]);
+    });
+
+    it('should only use a mapper with the serializer it is registered with', () => {
+      let serializer = new JsonApiSerializer();
+      serializer.registerErrorMapper(Error, () => ({ message: 'mapped' }));
+      expect(serializer.errorsToJSON(new Error('test'), false).errors)
+        .to.deep.equal([ { detail: 'mapped' } ]);
+      expect(Serialize.errorsToJSON(new Error('test'), false).errors)
+        .to.deep.equal([ { detail: 'test' } ]);
+      expect(new JsonApiSerializer().errorsToJSON(new Error('test'), false).errors)
+        .to.deep.equal([ { detail: 'test' } ]);
+    });
+
+    it('should map the errors of an invalid document before registered mappers', () => {
+      let serializer = new JsonApiSerializer();
+      serializer.registerErrorMapper(Error, () => ({ message: 'mapped' }));
+      let errors;
+      try {
+        serializer.relationshipFromJSON({}, Model, 'child');
+      } catch ( err ) {
+        errors = serializer.errorsToJSON(err, false).errors;
+      }
+      expect(errors).to.deep.equal([
+        {
+          status: '400',
+          detail: 'The document must contain a "data" member.',
+          source: { pointer: '' },
+        },
+      ]);
+    });
+
+    it('should throw if a mapper is registered without an error class', () => {
+      let test = () => Serialize.registerErrorMapper(null, () => []);
+      expect(test).to.throw(Error, /constructor/);
+    });
+
+    it('should produce an error object for each field of a validation error', () => {
+      let error = new Error('Validation failed');
+      error.name = 'ValidationError';
+      error.errors = [
+        { property: 'name', message: 'is required' },
+        { path: 'address.city', message: 'must be a string' },
+      ];
+      let serialized = Serialize.errorsToJSON(error);
+      expect(JSON.parse(serialized).errors).to.deep.equal([
+        {
+          status: '422',
+          detail: 'is required',
+          source: { pointer: '/data/attributes/name' },
+        },
+        {
+          status: '422',
+          detail: 'must be a string',
+          source: { pointer: '/data/attributes/address/city' },
+        },
+      ]);
+    });
+  });
+
+  describe('#fromJSON', () => {
+
+    // Get the errors thrown by "fromJSON" as error objects.
+    let errorsOf = ( doc ) => {
+      try {
+        Serialize.fromJSON(doc, kudu);
+      } catch ( err ) {
+        return Serialize.errorsToJSON(err, false).errors;
+      }
+      throw new Error('Expected an error.');
+    };
+
+    it('should throw an error if no "data" is present on the document', () => {
+      expect(errorsOf({})).to.deep.equal([
+        {
+          status: '400',
+          detail: 'The document must contain a "data" member.',
+          source: { pointer: '' },
+        },
+      ]);
+    });
+
+    it('should throw an error if no "type" is present on a resource', () => {
+      expect(errorsOf({ data: [ { type: 'test', id: '1' }, { id: '2' } ] })).to.deep.equal([
+        {
+          status: '400',
+          detail: 'A resource object must contain a "type" member.',
+          source: { pointer: '/data/1' },
+        },
+      ]);
+    });
+
+    it('should throw an error if the type does not correspond to a model', () => {
+      expect(errorsOf({ data: { type: 'fake', id: '1' } })).to.deep.equal([
+        {
+          status: '409',
+          detail: 'The resource type "fake" is not supported.',
+          source: { pointer: '/data/type' },
+        },
+      ]);
+    });
+
+    it('should return null if the primary data is null', () => {
+      expect(Serialize.fromJSON({ data: null }, kudu)).to.equal(null);
+    });
+
+    it('should accept a JSON string', () => {
+      let json = JSON.stringify({ data: { type: 'test', id: '1' } });
+      expect(Serialize.fromJSON(json, kudu)).to.be.an.instanceOf(Model);
+    });
+
+    it('should deserialize a document built by "toJSON"', () => {
+      let doc = Serialize.toJSON(new Model({
+        id: '1',
+        name: 'test',
+        children: [ new Child({ id: '2', name: 'child' }) ],
+      }), { stringify: false });
+      let instance = Serialize.fromJSON(doc, kudu);
+      expect(instance).to.be.an.instanceOf(Model);
+      expect(instance).to.have.property('name', 'test');
+      expect(instance.children[ 0 ]).to.be.an.instanceOf(Child);
+      expect(instance.children[ 0 ]).to.have.property('name', 'child');
+    });
+
+    it('should return a model instance with an identifier and attributes', () => {
+      let instance = Serialize.fromJSON({
+        data: { type: 'test', id: '1', attributes: { name: 'test' } },
+      }, kudu);
+      expect(instance).to.be.an.instanceOf(Model);
+      expect(instance).to.have.property('id', '1');
+      expect(instance).to.have.property('name', 'test');
+    });
+
+    it('should exclude non-schema attributes from the result', () => {
+      let instance = Serialize.fromJSON({
+        data: { type: 'test', id: '1', attributes: { excluded: true } },
+      }, kudu);
+      expect(instance).to.not.have.property('excluded');
+    });
+
+    it('should return an array of model instances', () => {
+      let instances = Serialize.fromJSON({
+        data: [
+          { type: 'test', id: '1' },
+          { type: 'test', id: '2' },
+        ],
+      }, kudu);
+      expect(instances).to.be.an('array');
+      expect(instances[ 1 ]).to.be.an.instanceOf(Model);
+    });
+
+    it('should resolve relationship linkage to identifiers', () => {
+      let instance = Serialize.fromJSON({
+        data: {
+          type: 'test',
+          id: '1',
+          relationships: {
+            child: { data: { type: 'single', id: '2' } },
+            children: { data: [ { type: 'child', id: '3' } ] },
+          },
+        },
+      }, kudu);
+      expect(instance.child).to.equal('2');
+      expect(instance.children).to.deep.equal([ '3' ]);
+    });
+
+    it('should resolve relationship linkage to included resources', () => {
+      let instance = Serialize.fromJSON({
+        data: {
+          type: 'test',
+          id: '1',
+          relationships: {
+            child: { data: { type: 'single', id: '2' } },
+          },
+        },
+        included: [
+          { type: 'single', id: '2', attributes: { name: 'child' } },
+        ],
+      }, kudu);
+      expect(instance.child).to.be.an.instanceOf(SingleChild);
+      expect(instance.child).to.have.property('name', 'child');
+    });
+
+    it('should resolve deeply nested included resources', () => {
+      let instance = Serialize.fromJSON({
+        data: {
+          type: 'test',
+          id: '1',
+          relationships: {
+            children: { data: [ { type: 'child', id: '2' } ] },
+          },
+        },
+        included: [
+          {
+            type: 'child',
+            id: '2',
+            relationships: { deep: { data: { type: 'single', id: '3' } } },
+          },
+          { type: 'single', id: '3', attributes: { name: 'deep' } },
+        ],
+      }, kudu);
+      expect(instance.children[ 0 ].deep).to.be.an.instanceOf(SingleChild);
+    });
+
+    it('should set null relationship linkage to null', () => {
+      let instance = Serialize.fromJSON({
+        data: { type: 'test', id: '1', relationships: { child: { data: null } } },
+      }, kudu);
+      expect(instance.child).to.equal(null);
+    });
+
+    it('should ignore relationships without linkage', () => {
+      let instance = Serialize.fromJSON({
+        data: {
+          type: 'test',
+          id: '1',
+          relationships: { child: { links: { related: '/tests/1/child' } } },
+        },
+      }, kudu);
+      expect(instance).to.not.have.property('child');
+    });
   });
 });
@@ -0,0 +1,199 @@
+import chai from 'chai';
+import http from 'http';
+import Kudu from 'kudu';
+import { PassThrough, Readable, Writable, pipeline } from 'stream';
+import Serialize from '../src/serializer';
+
+let expect = chai.expect;
+
+describe('Stream', () => {
+
+  let kudu;
+  let Model;
+  let Child;
+
+  // Read a stream to completion and parse the result as JSON.
+  let read = ( stream ) => new Promise(( resolve, reject ) => {
+
+    let json = '';
+
+    pipeline(stream, new Writable({
+      write( chunk, encoding, callback ) {
+        json += chunk;
+        callback();
+      },
+    }), ( err ) => err ? reject(err) : resolve(JSON.parse(json)));
+  });
+
+  beforeEach(() => {
+    kudu = new Kudu();
+    Model = kudu.createModel('test', {
+      properties: {
+        name: {
+          type: String,
+        },
+      },
+      relationships: {
+        child: { type: 'child' },
+      },
+    });
+    Child = kudu.createModel('child', {
+      properties: {
+        name: {
+          type: String,
+        },
+      },
+    });
+  });
+
+  describe('#toJSONStream', () => {
+
+    it('should produce the same document as "toJSON" for an array', () => {
+      let child = new Child({ id: '3', name: 'child' });
+      let instances = [
+        new Model({ id: '1', name: '1', child }),
+        new Model({ id: '2', name: '2', child }),
+      ];
+      return read(Serialize.toJSONStream(instances, { meta: { total: 2 } }))
+        .then(( doc ) => {
+          expect(doc).to.deep.equal(
+            JSON.parse(Serialize.toJSON(instances, { meta: { total: 2 } }))
+          );
+        });
+    });
+
+    it('should produce an empty array of primary data for an empty source', () =>
+      read(Serialize.toJSONStream([])).then(( doc ) => {
+        expect(doc).to.deep.equal({ data: [] });
+      })
+    );
+
+    it('should accept an iterator', () => {
+      let instances = [ new Model({ id: '1', name: '1' }) ];
+      return read(Serialize.toJSONStream(instances[ Symbol.iterator ]()))
+        .then(( doc ) => {
+          expect(doc.data).to.have.length(1);
+        });
+    });
+
+    it('should accept an async iterator', () => {
+      let i = 0;
+      let iterator = {
+        next: () => Promise.resolve(i < 3 ?
+          { done: false, value: new Model({ id: `${ ++i }`, name: 'test' }) } :
+          { done: true }
+        ),
+      };
+      return read(Serialize.toJSONStream(iterator)).then(( doc ) => {
+        expect(doc.data.map(( item ) => item.id)).to.deep.equal([ '1', '2', '3' ]);
+      });
+    });
+
+    it('should accept a readable stream in object mode', () => {
+      let source = new PassThrough({ objectMode: true });
+      let promise = read(Serialize.toJSONStream(source));
+      source.write(new Model({ id: '1', name: '1' }));
+      source.end(new Model({ id: '2', name: '2' }));
+      return promise.then(( doc ) => {
+        expect(doc.data).to.have.length(2);
+      });
+    });
+
+    it('should drop included resources that are later found in the primary data', () => {
+      let child = new Child({ id: '3', name: 'child' });
+      let instances = [
+        new Model({ id: '1', name: '1', child }),
+        child,
+      ];
+      return read(Serialize.toJSONStream(instances)).then(( doc ) => {
+        expect(doc).to.not.have.property('included');
+      });
+    });
+
+    it('should handle a large number of instances', function () {
+      this.timeout(10000);
+      let instances = [];
+      for ( let i = 0; i < 20000; i++ ) {
+        instances.push(new Model({ id: `${ i }`, name: 'test' }));
+      }
+      return read(Serialize.toJSONStream(instances)).then(( doc ) => {
+        expect(doc.data).to.have.length(20000);
+      });
+    });
+
+    it('should fail the stream if an instance cannot be serialized', () => {
+      let instances = [ new Model({ name: 'no id' }) ];
+      return read(Serialize.toJSONStream(instances)).then(() => {
+        throw new Error('Expected an error.');
+      }, ( err ) => {
+        expect(err.message).to.match(/"id"/);
+      });
+    });
+
+    it('should fail the stream if the source fails', () => {
+      let source = new Readable({ objectMode: true, read() {} });
+      let promise = read(Serialize.toJSONStream(source));
+      source.destroy(new Error('source'));
+      return promise.then(() => {
+        throw new Error('Expected an error.');
+      }, ( err ) => {
+        expect(err.message).to.equal('source');
+      });
+    });
+
+    it('should work with "stream.pipeline" into an HTTP response', () => {
+      let instances = [ new Model({ id: '1', name: '1' }), new Model({ id: '2', name: '2' }) ];
+      let server = http.createServer(( req, res ) => {
+        res.setHeader('Content-Type', Serialize.contentType());
+        pipeline(Serialize.toJSONStream(instances), res, () => {});
+      });
+      let get = ( port ) => new Promise(( resolve, reject ) => {
+        http.get({ port, path: '/' }, ( res ) => {
+          let body = '';
+          res.setEncoding('utf8');
+          res.on('data', ( chunk ) => {
+            body += chunk;
+          });
+          res.on('end', () => resolve({ res, body }));
+        }).on('error', reject);
+      });
+      return new Promise(( resolve ) => server.listen(0, resolve))
+        .then(() => get(server.address().port))
+        .then(( { res, body } ) => {
+          server.close();
+          expect(res.headers[ 'content-type' ]).to.equal('application/vnd.api+json');
+          expect(JSON.parse(body)).to.deep.equal(JSON.parse(Serialize.toJSON(instances)));
+        }, ( err ) => {
+          server.close();
+          throw err;
+        });
+    });
+
+    it('should close the source when the pipeline fails', () => {
+      let closed = false;
+      let iterator = {
+        next: () => ({ done: false, value: new Model({ id: '1', name: 'test' }) }),
+        return: () => {
+          closed = true;
+          return { done: true };
+        },
+      };
+      let destination = new Writable({
+        write( chunk, encoding, callback ) {
+          callback(new Error('destination'));
+        },
+      });
+      return new Promise(( resolve ) => {
+        pipeline(Serialize.toJSONStream(iterator), destination, resolve);
+      }).then(( err ) => {
+        expect(err.message).to.equal('destination');
+        expect(closed).to.equal(true);
+      });
+    });
+
+    it('should throw if the source is not iterable', () => {
+      let test = () => Serialize.toJSONStream({});
+      expect(test).to.throw(Error, /iterator/);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+import chai from 'chai';
+import Kudu from 'kudu';
+import Serialize from '../src/serializer';
+
+let expect = chai.expect;
+
+describe('Transforms', () => {
+
+  let kudu;
+  let Model;
+
+  beforeEach(() => {
+    kudu = new Kudu();
+    Model = kudu.createModel('test', {
+      properties: {
+        created: {
+          type: Date,
+        },
+        price: {
+          type: Number,
+          transform: 'number-string',
+        },
+        secret: {
+          type: String,
+          serialize: ( value ) => `${ value.slice(0, 2) }****`,
+          deserialize: ( value ) => value.trim(),
+        },
+        firstName: {
+          type: String,
+        },
+        lastName: {
+          type: String,
+        },
+        fullName: {
+          type: String,
+          computed: true,
+          serialize: ( value, instance ) =>
+            `${ instance.firstName } ${ instance.lastName }`,
+        },
+        raw: {
+          type: Date,
+          transform: false,
+        },
+      },
+    });
+  });
+
+  describe('#toJSON', () => {
+
+    it('should serialize dates as ISO 8601 strings by default', () => {
+      let created = new Date(Date.UTC(2016, 0, 1));
+      let instance = new Model({ id: '1', created });
+      let serialized = Serialize.toJSON(instance, { stringify: false });
+      expect(serialized.data.attributes.created).to.equal('2016-01-01T00:00:00.000Z');
+    });
+
+    it('should apply a named built-in transform', () => {
+      let instance = new Model({ id: '1', price: 10.5 });
+      let serialized = Serialize.toJSON(instance, { stringify: false });
+      expect(serialized.data.attributes.price).to.equal('10.5');
+    });
+
+    it('should apply a custom "serialize" function', () => {
+      let instance = new Model({ id: '1', secret: 'abcdef' });
+      let serialized = Serialize.toJSON(instance, { stringify: false });
+      expect(serialized.data.attributes.secret).to.equal('ab****');
+    });
+
+    it('should include computed attributes that are not set on the instance', () => {
+      let instance = new Model({ id: '1', firstName: 'a', lastName: 'b' });
+      let serialized = Serialize.toJSON(instance, { stringify: false });
+      expect(serialized.data.attributes.fullName).to.equal('a b');
+    });
+
+    it('should not transform a property with a disabled transform', () => {
+      let raw = new Date();
+      let instance = new Model({ id: '1', raw });
+      let serialized = Serialize.toJSON(instance, { stringify: false });
+      expect(serialized.data.attributes.raw).to.equal(raw);
+    });
+
+    it('should not apply built-in transforms to null values', () => {
+      let instance = new Model({ id: '1', created: null });
+      let serialized = Serialize.toJSON(instance, { stringify: false });
+      expect(serialized.data.attributes.created).to.equal(null);
+    });
+
+    it('should throw for an unknown built-in transform', () => {
+      let Broken = kudu.createModel('broken', {
+        properties: {
+          name: { type: String, transform: 'fake' },
+        },
+      });
+      let test = () => Serialize.toJSON(new Broken({ id: '1', name: 'a' }));
+      expect(test).to.throw(Error, /"fake"/);
+    });
+  });
+
+  describe('#fromJSON', () => {
+
+    it('should deserialize attributes with transforms', () => {
+      let instance = Serialize.fromJSON({
+        data: {
+          type: 'test',
+          id: '1',
+          attributes: {
+            created: '2016-01-01T00:00:00.000Z',
+            price: '10.5',
+            secret: ' abc ',
+          },
+        },
+      }, kudu);
+      expect(instance.created).to.be.an.instanceOf(Date);
+      expect(instance.created.getTime()).to.equal(Date.UTC(2016, 0, 1));
+      expect(instance.price).to.equal(10.5);
+      expect(instance.secret).to.equal('abc');
+    });
+
+    it('should ignore computed attributes', () => {
+      let instance = Serialize.fromJSON({
+        data: { type: 'test', id: '1', attributes: { fullName: 'a b' } },
+      }, kudu);
+      expect(instance).to.not.have.property('fullName');
+    });
+
+    it('should leave values that cannot be transformed unchanged', () => {
+      let instance = Serialize.fromJSON({
+        data: {
+          type: 'test',
+          id: '1',
+          attributes: { created: 'not a date', price: 'ten' },
+        },
+      }, kudu);
+      expect(instance.created).to.equal('not a date');
+      expect(instance.price).to.equal('ten');
+    });
+  });
+});
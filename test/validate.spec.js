@@ -0,0 +1,205 @@
+import chai from 'chai';
+import Serialize from '../src/serializer';
+
+let expect = chai.expect;
+
+describe('Validate', () => {
+
+  let pointers = ( errors ) => errors.map(( error ) => error.source.pointer);
+
+  describe('#validate', () => {
+
+    it('should return an empty array for a valid document', () => {
+      let errors = Serialize.validate({
+        data: {
+          type: 'test',
+          id: '1',
+          attributes: { name: 'test' },
+          relationships: {
+            child: { data: { type: 'single', id: '2' } },
+          },
+        },
+        included: [
+          { type: 'single', id: '2', attributes: { name: 'child' } },
+        ],
+      });
+      expect(errors).to.deep.equal([]);
+    });
+
+    it('should accept a JSON string', () => {
+      let errors = Serialize.validate('{"data":null}');
+      expect(errors).to.deep.equal([]);
+    });
+
+    it('should return an error for an invalid JSON string', () => {
+      let errors = Serialize.validate('{');
+      expect(errors).to.have.length(1);
+      expect(errors[ 0 ]).to.have.property('status', 400);
+    });
+
+    it('should return an error if the document is not an object', () => {
+      expect(pointers(Serialize.validate([]))).to.deep.equal([ '' ]);
+    });
+
+    it('should return an error if there is no "data", "errors" or "meta"', () => {
+      expect(pointers(Serialize.validate({}))).to.deep.equal([ '' ]);
+    });
+
+    it('should return an error if "data" and "errors" coexist', () => {
+      expect(pointers(Serialize.validate({ data: null, errors: [] })))
+        .to.deep.equal([ '' ]);
+    });
+
+    it('should allow "meta" alongside "data"', () => {
+      expect(Serialize.validate({ data: null, meta: { total: 0 } }))
+        .to.deep.equal([]);
+    });
+
+    it('should return an error if "included" is present without "data"', () => {
+      expect(pointers(Serialize.validate({ meta: {}, included: [] })))
+        .to.deep.equal([ '/included' ]);
+    });
+
+    it('should return an error if a resource has no "type"', () => {
+      expect(pointers(Serialize.validate({ data: { id: '1' } })))
+        .to.deep.equal([ '/data/type' ]);
+    });
+
+    it('should return an error if a resource has no "id"', () => {
+      expect(pointers(Serialize.validate({ data: { type: 'test' } })))
+        .to.deep.equal([ '/data' ]);
+    });
+
+    it('should not return an error if a resource has no "id" and the relevant flag is set', () => {
+      let errors = Serialize.validate({ data: { type: 'test' } }, { requireId: false });
+      expect(errors).to.deep.equal([]);
+    });
+
+    it('should return an error if a resource "id" is not a string', () => {
+      expect(pointers(Serialize.validate({ data: { type: 'test', id: 1 } })))
+        .to.deep.equal([ '/data/id' ]);
+    });
+
+    it('should return an error for reserved attribute names', () => {
+      let errors = Serialize.validate({
+        data: [
+          { type: 'test', id: '1', attributes: { title: 'a', links: 'b' } },
+          { type: 'test', id: '2', attributes: { id: '2', type: 'test' } },
+        ],
+      });
+      expect(pointers(errors)).to.deep.equal([
+        '/data/0/attributes/links',
+        '/data/1/attributes/id',
+        '/data/1/attributes/type',
+      ]);
+    });
+
+    it('should return an error for a field that is both an attribute and a relationship', () => {
+      let errors = Serialize.validate({
+        data: {
+          type: 'test',
+          id: '1',
+          attributes: { child: '2' },
+          relationships: { child: { data: null } },
+        },
+      });
+      expect(pointers(errors)).to.deep.equal([ '/data/relationships/child' ]);
+    });
+
+    it('should return an error for an empty relationship object', () => {
+      let errors = Serialize.validate({
+        data: { type: 'test', id: '1', relationships: { child: {} } },
+      });
+      expect(pointers(errors)).to.deep.equal([ '/data/relationships/child' ]);
+    });
+
+    it('should return an error for malformed resource linkage', () => {
+      let errors = Serialize.validate({
+        data: {
+          type: 'test',
+          id: '1',
+          relationships: {
+            child: { data: '2' },
+            children: { data: [ { type: 'child' } ] },
+          },
+        },
+      });
+      expect(pointers(errors)).to.deep.equal([
+        '/data/relationships/child/data',
+        '/data/relationships/children/data/0/id',
+      ]);
+    });
+
+    it('should return an error for included resources that are not linked', () => {
+      let errors = Serialize.validate({
+        data: {
+          type: 'test',
+          id: '1',
+          relationships: { child: { data: { type: 'single', id: '2' } } },
+        },
+        included: [
+          { type: 'single', id: '2' },
+          { type: 'single', id: '3' },
+        ],
+      });
+      expect(pointers(errors)).to.deep.equal([ '/included/1' ]);
+    });
+
+    it('should allow included resources linked from other included resources', () => {
+      let errors = Serialize.validate({
+        data: {
+          type: 'test',
+          id: '1',
+          relationships: { children: { data: [ { type: 'child', id: '2' } ] } },
+        },
+        included: [
+          { type: 'single', id: '3' },
+          {
+            type: 'child',
+            id: '2',
+            relationships: { deep: { data: { type: 'single', id: '3' } } },
+          },
+        ],
+      });
+      expect(errors).to.deep.equal([]);
+    });
+
+    it('should escape JSON pointer reference tokens', () => {
+      let errors = Serialize.validate({
+        data: { type: 'test', id: '1', relationships: { 'a/b~c': {} } },
+      });
+      expect(pointers(errors)).to.deep.equal([ '/data/relationships/a~1b~0c' ]);
+    });
+
+    it('should validate documents that have no prototype', () => {
+      let relationship = Object.create(null);
+      relationship.data = { type: 'single', id: '2' };
+      let resource = Object.create(null);
+      Object.assign(resource, {
+        type: 'test',
+        id: '1',
+        relationships: { child: relationship },
+      });
+      let doc = Object.create(null);
+      doc.data = resource;
+      expect(Serialize.validate(doc)).to.deep.equal([]);
+    });
+
+    it('should validate documents with a "hasOwnProperty" member', () => {
+      let errors = Serialize.validate('{"hasOwnProperty":1,"data":null}');
+      expect(errors).to.deep.equal([]);
+      errors = Serialize.validate({ data: { type: 'test', hasOwnProperty: 1 } });
+      expect(pointers(errors)).to.deep.equal([ '/data' ]);
+    });
+
+    it('should return errors that can be serialized by "errorsToJSON"', () => {
+      let errors = Serialize.validate({ data: { type: 'test', id: 1 } });
+      let serialized = Serialize.errorsToJSON(errors);
+      expect(JSON.parse(serialized).errors[ 0 ]).to.deep.equal({
+        detail: 'The "id" member of a resource object must be a string.',
+        status: '400',
+        source: { pointer: '/data/id' },
+      });
+    });
+  });
+});
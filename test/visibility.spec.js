@@ -0,0 +1,118 @@
+import chai from 'chai';
+import Kudu from 'kudu';
+import Serialize from '../src/serializer';
+
+let expect = chai.expect;
+
+describe('Visibility', () => {
+
+  let kudu;
+  let User;
+  let Account;
+
+  beforeEach(() => {
+    kudu = new Kudu();
+    User = kudu.createModel('user', {
+      properties: {
+        name: {
+          type: String,
+        },
+        email: {
+          type: String,
+          public: [ 'admin' ],
+        },
+        phone: {
+          type: String,
+          public: ( instance, context ) => context.userId === instance.id,
+        },
+      },
+      relationships: {
+        account: {
+          type: 'account',
+          public: ( instance, context ) => context.userId === instance.id,
+        },
+      },
+    });
+    Account = kudu.createModel('account', {
+      properties: {
+        balance: {
+          type: Number,
+          public: [ 'admin' ],
+        },
+      },
+    });
+  });
+
+  describe('#toJSON', () => {
+
+    let user;
+
+    beforeEach(() => {
+      user = new User({
+        id: '1',
+        name: 'test',
+        email: 'test@example.com',
+        phone: '555',
+        account: new Account({ id: '2', balance: 10 }),
+      });
+    });
+
+    it('should hide properties that are not visible without a context', () => {
+      let serialized = Serialize.toJSON(user, { stringify: false });
+      expect(serialized.data.attributes).to.deep.equal({ name: 'test' });
+      expect(serialized.data).to.not.have.property('relationships');
+      expect(serialized).to.not.have.property('included');
+    });
+
+    it('should treat a null context as an empty one', () => {
+      let serialized = Serialize.toJSON(user, { stringify: false, context: null });
+      expect(serialized.data.attributes).to.deep.equal({ name: 'test' });
+      expect(serialized.data).to.not.have.property('relationships');
+    });
+
+    it('should show properties to roles listed in the schema', () => {
+      let serialized = Serialize.toJSON(user, {
+        stringify: false,
+        context: { roles: [ 'admin' ] },
+      });
+      expect(serialized.data.attributes).to.have.all.keys('name', 'email');
+    });
+
+    it('should accept a single role', () => {
+      let serialized = Serialize.toJSON(user, {
+        stringify: false,
+        context: { role: 'admin' },
+      });
+      expect(serialized.data.attributes).to.have.property('email');
+    });
+
+    it('should show properties for which the schema function returns true', () => {
+      let serialized = Serialize.toJSON(user, {
+        stringify: false,
+        context: { userId: '1' },
+      });
+      expect(serialized.data.attributes).to.have.all.keys('name', 'phone');
+    });
+
+    it('should apply visibility to relationships and included resources', () => {
+      let serialized = Serialize.toJSON(user, {
+        stringify: false,
+        context: { userId: '1' },
+      });
+      expect(serialized.data.relationships).to.have.all.keys('account');
+      expect(serialized.included).to.deep.equal([
+        { type: 'account', id: '2', attributes: {} },
+      ]);
+    });
+
+    it('should apply visibility to each instance in an array', () => {
+      let other = new User({ id: '3', name: 'other', phone: '556' });
+      let serialized = Serialize.toJSON([ user, other ], {
+        stringify: false,
+        context: { userId: '3' },
+      });
+      expect(serialized.data[ 0 ].attributes).to.not.have.property('phone');
+      expect(serialized.data[ 1 ].attributes).to.have.property('phone', '556');
+    });
+  });
+});